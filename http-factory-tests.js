@@ -1,15 +1,29 @@
 /* global describe it beforeEach */
 import { Meteor } from 'meteor/meteor'
-import { check } from 'meteor/check'
+import { check, Match } from 'meteor/check'
 import { WebApp } from 'meteor/webapp'
 import { Mongo } from 'meteor/mongo'
 import { Random } from 'meteor/random'
+import { Accounts } from 'meteor/accounts-base'
 import { HTTP } from 'meteor/http'
 import { HTTP as HTTP2 } from 'meteor/jkuester:http'
-import { createHTTPFactory } from 'meteor/leaonline:http-factory'
+import {
+  createHTTPFactory,
+  inject,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  ServiceUnavailableError,
+  GatewayTimeoutError
+} from 'meteor/leaonline:http-factory'
 import { expect } from 'chai'
 import bodyParser from 'body-parser'
 import SimpleSchema from 'simpl-schema'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Readable, Writable } from 'stream'
+import { request as httpRequest } from 'http'
 
 const schemaFactory = def => new SimpleSchema(def)
 const createRandomPath = () => `/${Random.id()}`
@@ -158,6 +172,72 @@ describe('defaults, no params', function () {
     })
   })
 
+  it('awaits async run functions', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: async function () {
+        const value = await new Promise(resolve => setTimeout(() => resolve(testId), 10))
+        return { testId: value }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId }))
+      done()
+    })
+  })
+
+  it('creates an error response if the async run rejects', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: async function () {
+        await new Promise(resolve => setTimeout(resolve, 10))
+        throw new Error(testId)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(500)
+      expect(error.data.title).to.equal('Internal Server Error')
+      expect(error.data.info).to.equal(testId)
+      done()
+    })
+  })
+
+  it('passes to the next handler if async run resolves to undefined', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: async function () {
+        await new Promise(resolve => setTimeout(resolve, 10))
+        this.data({ testId })
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      run: async function () {
+        const { testId } = this.data()
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
   ;['get', 'head', 'post', 'put', 'delete', 'options', 'trace', 'patch'].forEach(method => {
     it(`creates a http ${method} route with minimal params`, function (done) {
       const createHttpRoute = createHTTPFactory()
@@ -349,6 +429,35 @@ describe('with schema', function () {
       done()
     })
   })
+  it('allows to validate using async validate', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      validate: async ({ otherId }) => {
+        await new Promise(resolve => setTimeout(resolve, 10))
+        if (otherId !== testId) throw new Error('Expected otherId')
+      },
+      run: function () {
+        const { otherId } = this.data()
+        return { otherId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), { params: {} }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(400)
+      expect(error.data.title).to.equal('Bad Request')
+      expect(error.data.info).to.equal('Expected otherId')
+
+      HTTP.get(toUrl(randomPath), { params: { otherId: testId } }, (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.statusCode).to.equal(200)
+        expect(res.content).to.equal(JSON.stringify({ otherId: testId }))
+        done()
+      })
+    })
+  })
 })
 
 describe('with error handler', function () {
@@ -433,6 +542,3193 @@ describe('with error handler', function () {
   })
 })
 
+describe('path params', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('extracts named params from the path', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const postId = Random.id()
+
+    createHttpRoute({
+      path: `${randomPath}/users/:userId/posts/:postId`,
+      method: 'get',
+      run: function () {
+        const { userId, postId, otherId } = this.data()
+        expect(this.params()).to.deep.equal({ userId, postId })
+        return { userId, postId, otherId }
+      }
+    })
+
+    const url = toUrl(`${randomPath}/users/${testId}/posts/${postId}`)
+    HTTP.get(url, { params: { otherId: testId } }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ userId: testId, postId, otherId: testId }))
+      done()
+    })
+  })
+
+  it('validates path params by schema', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+
+    createHttpRoute({
+      path: `${randomPath}/:index`,
+      method: 'get',
+      schema: { index: { type: String, regEx: /^\d+$/ } },
+      run: function () {
+        return this.params().index
+      }
+    })
+
+    HTTP.get(toUrl(`${randomPath}/foo`), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(400)
+      expect(error.data.title).to.equal('Bad Request')
+
+      HTTP.get(toUrl(`${randomPath}/42`), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.statusCode).to.equal(200)
+        expect(res.content).to.equal('42')
+        done()
+      })
+    })
+  })
+
+  it('matches the path as prefix by default', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: `${randomPath}/:userId`,
+      run: function () {
+        return this.params().userId
+      }
+    })
+
+    HTTP.get(toUrl(`${randomPath}/${testId}/profile`), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
+  it('allows to match the path exact', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: `${randomPath}/:userId`,
+      exact: true,
+      run: function () {
+        return this.params().userId
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(`${randomPath}/${testId}/profile`), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.content).to.equal(testId)
+
+      HTTP.get(toUrl(`${randomPath}/foo/`), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal('foo')
+        done()
+      })
+    })
+  })
+})
+
+describe('raw handlers', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('allows to register single routes on raw connect handlers', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return 'connect'
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      raw: true,
+      run: function () {
+        const { otherId } = this.data()
+        return { testId, otherId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), { params: { otherId: testId } }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId, otherId: testId }))
+      done()
+    })
+  })
+
+  it('allows to override the factory raw setting per route', function (done) {
+    const createHttpRoute = createHTTPFactory({ isRaw: true })
+
+    createHttpRoute({
+      path: randomPath,
+      raw: false,
+      run: function () {
+        return testId
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function (req, res, next) {
+        req.foo = 'raw'
+        next()
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      raw: false,
+      run: function (req) {
+        return req.foo
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
+  it('registers route-specific middleware on raw connect handlers', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      raw: true,
+      preprocess: function (req, res, next) {
+        req.foo = testId
+        next()
+      },
+      run: function (req) {
+        return req.foo
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+})
+
+describe('methods', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('handles only the specified method', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'delete',
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(405)
+      expect(error.headers.allow).to.equal('DELETE')
+      expect(error.data.title).to.equal('Method Not Allowed')
+
+      HTTP.del(toUrl(randomPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.statusCode).to.equal(200)
+        expect(res.content).to.equal(testId)
+        done()
+      })
+    })
+  })
+
+  it('allows to specify multiple methods', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: ['get', 'post'],
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.content).to.equal(testId)
+
+      HTTP.post(toUrl(randomPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal(testId)
+
+        HTTP.put(toUrl(randomPath), (err) => {
+          const error = err.response
+          expect(error.statusCode).to.equal(405)
+          expect(error.headers.allow).to.equal('GET, HEAD, POST')
+          done()
+        })
+      })
+    })
+  })
+
+  it('passes on requests, that match a route only by prefix', async function () {
+    const createHttpRoute = createHTTPFactory()
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: () => testId
+    })
+
+    const upload = await inject(createHttpRoute, { method: 'post', url: `${randomPath}/upload` })
+    expect(upload.statusCode).to.equal(404)
+
+    const notAllowed = await inject(createHttpRoute, { method: 'post', url: randomPath })
+    expect(notAllowed.statusCode).to.equal(405)
+    expect(notAllowed.headers.allow).to.equal('GET, HEAD')
+  })
+
+  it('answers HEAD requests by GET routes', async function () {
+    const createHttpRoute = createHTTPFactory()
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: () => testId
+    })
+
+    const response = await inject(createHttpRoute, { method: 'head', url: randomPath })
+    expect(response.statusCode).to.equal(200)
+    expect(response.headers['content-type']).to.equal('text/plain; charset=utf-8')
+  })
+
+  it('responds with all allowed methods of all routes for the path', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const createOtherHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: `${randomPath}/:id`,
+      method: 'get',
+      run: function () {
+        return testId
+      }
+    })
+
+    createOtherHttpRoute({
+      path: `${randomPath}/:id`,
+      method: 'patch',
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.post(toUrl(`${randomPath}/${testId}`), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(405)
+      expect(error.headers.allow).to.equal('GET, HEAD, PATCH')
+
+      HTTP.patch(toUrl(`${randomPath}/${testId}`), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal(testId)
+        done()
+      })
+    })
+  })
+
+  it('throws on unknown methods', function () {
+    const createHttpRoute = createHTTPFactory()
+
+    expect(() => createHttpRoute({
+      path: randomPath,
+      method: ['get', 'foo'],
+      run: () => {}
+    })).to.throw('Match error')
+  })
+})
+
+describe('body parsing', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('parses json bodies', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, body: { json: true } })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      schema: { testId: String, count: Number },
+      run: function () {
+        const { testId, count } = this.data()
+        return { testId, count }
+      }
+    })
+
+    HTTP.post(toUrl(randomPath), { data: { testId, count: 3 } }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId, count: 3 }))
+      done()
+    })
+  })
+
+  it('parses text bodies', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      body: { text: true },
+      run: function (req) {
+        this.data({ testId })
+        expect(this.data()).to.deep.equal({ testId })
+        return req.body
+      }
+    })
+
+    const headers = { 'content-type': 'text/plain' }
+    HTTP.post(toUrl(randomPath), { content: testId, headers }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
+  it('responds with 400 on malformed json', function (done) {
+    const createHttpRoute = createHTTPFactory({ body: true })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      run: function () {
+        return testId
+      }
+    })
+
+    const headers = { 'content-type': 'application/json' }
+    HTTP.post(toUrl(randomPath), { content: '{ "foo', headers }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(400)
+      expect(error.data.title).to.equal('Bad Request')
+      expect(error.data.description).to.equal('Malformed body.')
+      done()
+    })
+  })
+
+  it('responds with 413 if the body exceeds the limit', function (done) {
+    const createHttpRoute = createHTTPFactory({ body: { json: { limit: '10b' } } })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.post(toUrl(randomPath), { data: { testId } }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(413)
+      expect(error.data.title).to.equal('Payload Too Large')
+      done()
+    })
+  })
+
+  it('does not report clients, that disconnect while sending the body', function (done) {
+    const createHttpRoute = createHTTPFactory({ body: true })
+    const errors = []
+    let runCalled = false
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      onError: e => errors.push(e),
+      run: function () {
+        runCalled = true
+        return testId
+      }
+    })
+
+    const headers = { 'content-type': 'application/json', 'content-length': 1000 }
+    const req = httpRequest(toUrl(randomPath), { method: 'post', headers })
+    req.on('error', () => {})
+    req.write(`{"testId":"${testId}"`)
+    setTimeout(() => req.destroy(), 20)
+
+    setTimeout(() => {
+      expect(errors).to.deep.equal([])
+      expect(runCalled).to.equal(false)
+      done()
+    }, 70)
+  })
+
+  it('allows to disable body parsing per route', function (done) {
+    const createHttpRoute = createHTTPFactory({ body: true })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      body: false,
+      run: function () {
+        return this.data()
+      }
+    })
+
+    HTTP.post(toUrl(randomPath), { data: { testId } }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({}))
+      done()
+    })
+  })
+})
+
+describe('multipart', function () {
+  let randomPath
+  let testId
+
+  const boundary = 'http-factory-boundary'
+  const createMultipart = ({ fields = {}, files = [] }) => {
+    const parts = Object.entries(fields).map(([name, value]) => [
+      `--${boundary}`,
+      `Content-Disposition: form-data; name="${name}"`,
+      '',
+      value
+    ].join('\r\n'))
+
+    files.forEach(({ fieldName, name, mimeType, content }) => parts.push([
+      `--${boundary}`,
+      `Content-Disposition: form-data; name="${fieldName}"; filename="${name}"`,
+      `Content-Type: ${mimeType}`,
+      '',
+      content
+    ].join('\r\n')))
+
+    return {
+      content: `${parts.join('\r\n')}\r\n--${boundary}--\r\n`,
+      headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+    }
+  }
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('writes uploaded files to temp files and removes them afterwards', function (done) {
+    const createHttpRoute = createHTTPFactory({ multipart: true })
+    let filePath
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      run: function () {
+        const { testId } = this.data()
+        const [file] = this.files()
+        filePath = file.path
+        expect(fs.readFileSync(file.path, 'utf8')).to.equal('%PDF-1.4')
+        return { testId, name: file.name, mimeType: file.mimeType, size: file.size }
+      }
+    })
+
+    const options = createMultipart({
+      fields: { testId },
+      files: [{ fieldName: 'document', name: 'doc.pdf', mimeType: 'application/pdf', content: '%PDF-1.4' }]
+    })
+    HTTP.post(toUrl(randomPath), options, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId, name: 'doc.pdf', mimeType: 'application/pdf', size: 8 }))
+
+      setTimeout(() => {
+        expect(fs.existsSync(filePath)).to.equal(false)
+        done()
+      }, 50)
+    })
+  })
+
+  it('removes the temp files, if the client aborts the upload', function (done) {
+    const dest = fs.mkdtempSync(path.join(os.tmpdir(), 'http-factory-test-'))
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: { dest },
+      onError: e => errors.push(e),
+      run: () => testId
+    })
+
+    const { headers } = createMultipart({})
+    const req = httpRequest(toUrl(randomPath), { method: 'post', headers: Object.assign({ 'content-length': 10000 }, headers) })
+    req.on('error', () => {})
+    req.write([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="document"; filename="doc.pdf"',
+      'Content-Type: application/pdf',
+      '',
+      testId
+    ].join('\r\n'))
+
+    setTimeout(() => {
+      expect(fs.readdirSync(dest).length).to.equal(1)
+      req.destroy()
+
+      setTimeout(() => {
+        expect(fs.readdirSync(dest)).to.deep.equal([])
+        expect(errors).to.deep.equal([])
+        fs.rmdirSync(dest)
+        done()
+      }, 50)
+    }, 50)
+  })
+
+  it('allows to write files into a custom sink', function (done) {
+    const chunks = []
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: {
+        sink: ({ name }) => {
+          expect(name).to.equal('audio.mp3')
+          return new Writable({
+            write (chunk, encoding, callback) {
+              chunks.push(chunk)
+              callback()
+            }
+          })
+        }
+      },
+      run: function () {
+        const [file] = this.files()
+        expect(file.path).to.equal(undefined)
+        return Buffer.concat(chunks).toString()
+      }
+    })
+
+    const options = createMultipart({
+      files: [{ fieldName: 'audio', name: 'audio.mp3', mimeType: 'audio/mpeg', content: testId }]
+    })
+    HTTP.post(toUrl(randomPath), options, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
+  it('responds with 500 if the sink fails', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: {
+        sink: ({ name }) => {
+          if (name === 'invalid.mp3') return null
+          throw new Error(testId)
+        }
+      },
+      onError: e => errors.push(e.message),
+      run: () => testId
+    })
+
+    const file = { fieldName: 'audio', name: 'audio.mp3', mimeType: 'audio/mpeg', content: testId }
+    const { content, headers } = createMultipart({ files: [file] })
+    const response = await inject(route, { method: 'post', url: randomPath, headers, body: content })
+    expect(response.statusCode).to.equal(500)
+
+    const invalid = createMultipart({ files: [Object.assign({}, file, { name: 'invalid.mp3' })] })
+    const invalidResponse = await inject(route, { method: 'post', url: randomPath, headers: invalid.headers, body: invalid.content })
+    expect(invalidResponse.statusCode).to.equal(500)
+    expect(errors).to.deep.equal([testId, 'The sink for invalid.mp3 has not returned a writable stream.'])
+  })
+
+  it('responds with 415 if the MIME type is not allowed', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: { mimeTypes: ['application/pdf', 'audio/*'] },
+      run: function () {
+        return testId
+      }
+    })
+
+    const options = createMultipart({
+      files: [{ fieldName: 'image', name: 'image.png', mimeType: 'image/png', content: testId }]
+    })
+    HTTP.post(toUrl(randomPath), options, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(415)
+      expect(error.data.title).to.equal('Unsupported Media Type')
+      done()
+    })
+  })
+
+  it('responds with 413 if a file exceeds the size limit', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: { limits: { fileSize: '4b' } },
+      run: function () {
+        return testId
+      }
+    })
+
+    const options = createMultipart({
+      files: [{ fieldName: 'document', name: 'doc.pdf', mimeType: 'application/pdf', content: testId }]
+    })
+    HTTP.post(toUrl(randomPath), options, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(413)
+      expect(error.data.title).to.equal('Payload Too Large')
+      done()
+    })
+  })
+
+  it('responds with 413 if there are too many files', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      multipart: { limits: { files: 1 } },
+      run: function () {
+        return testId
+      }
+    })
+
+    const file = { fieldName: 'document', name: 'doc.pdf', mimeType: 'application/pdf', content: testId }
+    const options = createMultipart({ files: [file, file] })
+    HTTP.post(toUrl(randomPath), options, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(413)
+      expect(error.data.info).to.equal('Too many files.')
+      done()
+    })
+  })
+})
+
+describe('response schema', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('rejects invalid responses by default', function (done) {
+    let hooked = false
+    const createHttpRoute = createHTTPFactory({
+      schemaFactory,
+      onError: e => {
+        expect(e.message).to.equal('secret is not allowed by the schema')
+        hooked = true
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      response: { schema: { testId: String } },
+      run: function () {
+        return { testId, secret: testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(500)
+      expect(error.data.title).to.equal('Internal Server Error')
+      expect(error.content).to.not.include('secret')
+      expect(hooked).to.equal(true)
+      done()
+    })
+  })
+
+  it('allows to strip unknown fields', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, response: { mode: 'strip' } })
+
+    createHttpRoute({
+      path: randomPath,
+      response: { schema: { testId: String } },
+      run: function () {
+        return [{ testId, secret: testId }, { testId }]
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify([{ testId }, { testId }]))
+      done()
+    })
+  })
+
+  it('allows to strip unknown fields using check/Match', function (done) {
+    const checkMatchFactory = (schema) => ({
+      validate (args) {
+        check(args, schema)
+      }
+    })
+    const createHttpRoute = createHTTPFactory({ schemaFactory: checkMatchFactory })
+
+    createHttpRoute({
+      path: randomPath,
+      response: { schema: { testId: String }, mode: 'strip' },
+      run: function () {
+        return { testId, secret: testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId }))
+      done()
+    })
+  })
+
+  it('allows to define schemas per status code', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+
+    createHttpRoute({
+      path: randomPath,
+      response: { schema: { 200: { count: Number } } },
+      run: function () {
+        return { testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err.response.statusCode).to.equal(500)
+      done()
+    })
+  })
+
+  it('only logs invalid responses in log mode', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+
+    createHttpRoute({
+      path: randomPath,
+      response: { schema: { count: Number }, mode: 'log' },
+      run: function () {
+        return { testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.equal(JSON.stringify({ testId }))
+      done()
+    })
+  })
+
+  it('requires a schemaFactory', function () {
+    const createHttpRoute = createHTTPFactory()
+
+    expect(() => createHttpRoute({
+      path: randomPath,
+      response: { schema: { testId: String } },
+      run: () => {}
+    })).to.throw('A schemaFactory is required to validate responses.')
+  })
+})
+
+describe('serializers', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('serializes results as plain json by default', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { testId, date: new Date(0) }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('application/json')
+      expect(res.content).to.equal(JSON.stringify({ testId, date: '1970-01-01T00:00:00.000Z' }))
+      done()
+    })
+  })
+
+  it('serializes results as ejson if accepted', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { testId, date: new Date(0) }
+      }
+    })
+
+    const headers = { accept: 'application/ejson' }
+    HTTP.get(toUrl(randomPath), { headers }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('application/ejson')
+      expect(res.headers.vary).to.equal('Accept')
+      expect(res.content).to.equal(JSON.stringify({ testId, date: { $date: 0 } }))
+      done()
+    })
+  })
+
+  it('serializes results as csv if produced and accepted', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      produces: ['json', 'csv'],
+      run: function () {
+        return [{ testId, title: 'a, "b"' }, { testId, count: 1 }]
+      }
+    })
+
+    const headers = { accept: 'text/html;q=0.9, text/*' }
+    HTTP.get(toUrl(randomPath), { headers }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('text/csv; charset=utf-8')
+      expect(res.content).to.equal(`testId,title,count\r\n${testId},"a, ""b""",\r\n${testId},,1`)
+      done()
+    })
+  })
+
+  it('allows to register custom serializers', function (done) {
+    const createHttpRoute = createHTTPFactory({
+      serializers: {
+        xml: {
+          type: 'application/xml',
+          serialize: ({ testId }) => `<testId>${testId}</testId>`
+        }
+      },
+      produces: ['xml']
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('application/xml')
+      expect(res.content).to.equal(`<testId>${testId}</testId>`)
+      done()
+    })
+  })
+
+  it('responds with 406 if no serializer matches', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { testId }
+      }
+    })
+
+    const headers = { accept: 'application/xml' }
+    HTTP.get(toUrl(randomPath), { headers }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(406)
+      expect(error.data.title).to.equal('Not Acceptable')
+      done()
+    })
+  })
+
+  it('sends strings and buffers as they are', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const otherPath = createRandomPath()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return testId
+      }
+    })
+
+    createHttpRoute({
+      path: otherPath,
+      run: function () {
+        return Buffer.from(testId)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('text/plain; charset=utf-8')
+      expect(res.content).to.equal(testId)
+
+      HTTP.get(toUrl(otherPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.headers['content-type']).to.equal('application/octet-stream')
+        expect(res.content).to.equal(testId)
+        done()
+      })
+    })
+  })
+
+  it('throws on unknown serializers', function () {
+    const createHttpRoute = createHTTPFactory()
+
+    expect(() => createHttpRoute({
+      path: randomPath,
+      produces: ['yaml'],
+      run: () => {}
+    })).to.throw('Unknown serializer: yaml')
+  })
+})
+
+describe('status and headers', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('allows to set status code and headers', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      run: function () {
+        this.status(201).header('Location', `${randomPath}/${testId}`)
+        return { testId }
+      }
+    })
+
+    HTTP.post(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(201)
+      expect(res.headers.location).to.equal(`${randomPath}/${testId}`)
+      expect(res.content).to.equal(JSON.stringify({ testId }))
+      done()
+    })
+  })
+
+  it('ends responses without content', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'delete',
+      run: function () {
+        this.status(204)
+      }
+    })
+
+    HTTP.del(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(204)
+      expect(res.content).to.equal('')
+      done()
+    })
+  })
+
+  it('allows to redirect', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        this.redirect(`/${testId}`, 303)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), { followRedirects: false }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(303)
+      expect(res.headers.location).to.equal(`/${testId}`)
+      done()
+    })
+  })
+
+  it('allows to override the content type', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        this.header('Content-Type', 'text/html')
+        return `<p>${testId}</p>`
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('text/html')
+      expect(res.content).to.equal(`<p>${testId}</p>`)
+      done()
+    })
+  })
+
+  it('applies headers to error responses', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        this.header('X-Test-Id', testId)
+        throw new Error(testId)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(500)
+      expect(error.headers['x-test-id']).to.equal(testId)
+      done()
+    })
+  })
+
+  it('does not allow invalid status codes', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        this.status(1000)
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err.response.statusCode).to.equal(500)
+      done()
+    })
+  })
+})
+
+describe('error classes', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('creates responses from http error classes', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const otherPath = createRandomPath()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        throw new NotFoundError(testId)
+      }
+    })
+
+    createHttpRoute({
+      path: otherPath,
+      run: async function () {
+        throw new ConflictError(testId, { description: 'Already exists.', details: { testId } })
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(404)
+      expect(error.data.title).to.equal('Not Found')
+      expect(error.data.info).to.equal(testId)
+
+      HTTP.get(toUrl(otherPath), (err) => {
+        const error = err.response
+        expect(error.statusCode).to.equal(409)
+        expect(error.data.title).to.equal('Conflict')
+        expect(error.data.description).to.equal('Already exists.')
+        expect(error.data.details).to.deep.equal({ testId })
+        done()
+      })
+    })
+  })
+
+  it('allows to throw http errors in validate', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      validate: () => {
+        throw new ForbiddenError(testId)
+      },
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(403)
+      expect(error.data.title).to.equal('Forbidden')
+      done()
+    })
+  })
+
+  it('maps Meteor.Error codes to status codes', function (done) {
+    const createHttpRoute = createHTTPFactory({
+      errorCodes: { 'document-locked': 423 }
+    })
+    const paths = [createRandomPath(), createRandomPath(), createRandomPath()]
+
+    createHttpRoute({
+      path: paths[0],
+      run: function () {
+        throw new Meteor.Error('not-found', testId)
+      }
+    })
+
+    createHttpRoute({
+      path: paths[1],
+      run: function () {
+        throw new Meteor.Error('document-locked', testId)
+      }
+    })
+
+    createHttpRoute({
+      path: paths[2],
+      run: function () {
+        throw new Meteor.Error('unknown-error', testId)
+      }
+    })
+
+    HTTP.get(toUrl(paths[0]), (err) => {
+      expect(err.response.statusCode).to.equal(404)
+      expect(err.response.data.title).to.equal('Not Found')
+      expect(err.response.data.info).to.equal(testId)
+
+      HTTP.get(toUrl(paths[1]), (err) => {
+        expect(err.response.statusCode).to.equal(423)
+        expect(err.response.data.title).to.equal('Locked')
+
+        HTTP.get(toUrl(paths[2]), (err) => {
+          expect(err.response.statusCode).to.equal(500)
+          expect(err.response.data.info).to.equal(testId)
+          done()
+        })
+      })
+    })
+  })
+
+  it('responds with validation error details', function (done) {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      schema: { otherId: String, count: Number },
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), { params: { otherId: testId } }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(400)
+      expect(error.data.details).to.deep.equal([
+        { name: 'count', type: 'required', message: 'Count is required' }
+      ])
+      done()
+    })
+  })
+})
+
+describe('error format', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('allows to respond with problem details', function (done) {
+    const createHttpRoute = createHTTPFactory({ errorFormat: 'problem' })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: function () {
+        throw new NotFoundError(testId, { type: 'https://example.com/not-found', details: { testId } })
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), { params: { testId } }, (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(404)
+      expect(error.headers['content-type']).to.equal('application/problem+json')
+      expect(JSON.parse(error.content)).to.deep.equal({
+        type: 'https://example.com/not-found',
+        title: 'Not Found',
+        status: 404,
+        detail: testId,
+        instance: `${randomPath}?testId=${testId}`,
+        details: { testId }
+      })
+
+      HTTP.post(toUrl(randomPath), (err) => {
+        const error = err.response
+        expect(error.statusCode).to.equal(405)
+        expect(JSON.parse(error.content).type).to.equal('about:blank')
+        done()
+      })
+    })
+  })
+
+  it('allows to use a custom error format', function (done) {
+    const createHttpRoute = createHTTPFactory({
+      errorFormat: ({ status, info }, { error }) => ({
+        type: 'application/json',
+        body: { error: { code: status, message: info, name: error.name } }
+      })
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        throw new ForbiddenError(testId)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(403)
+      expect(error.content).to.equal(JSON.stringify({
+        error: { code: 403, message: testId, name: 'ForbiddenError' }
+      }))
+      done()
+    })
+  })
+
+  it('allows to hide messages of internal errors', function (done) {
+    let hooked = false
+    const createHttpRoute = createHTTPFactory({
+      hideInternalErrors: true,
+      onError: e => {
+        hooked = e.message === testId
+      }
+    })
+    const otherPath = createRandomPath()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        throw new Error(testId)
+      }
+    })
+
+    createHttpRoute({
+      path: otherPath,
+      run: function () {
+        throw new ServiceUnavailableError(testId)
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(500)
+      expect(error.data.title).to.equal('Internal Server Error')
+      expect(error.data.info).to.equal(undefined)
+      expect(hooked).to.equal(true)
+
+      HTTP.get(toUrl(otherPath), (err) => {
+        const error = err.response
+        expect(error.statusCode).to.equal(503)
+        expect(error.data.info).to.equal(testId)
+        done()
+      })
+    })
+  })
+})
+
+describe('auth', function () {
+  let randomPath
+  let testId
+
+  const createUser = ({ when = new Date() } = {}) => {
+    const token = Random.secret()
+    const userId = Meteor.users.insert({
+      username: Random.id(),
+      services: {
+        resume: {
+          loginTokens: [{ when, hashedToken: Accounts._hashLoginToken(token) }]
+        }
+      }
+    })
+    return { userId, token }
+  }
+
+  const bearer = token => ({ headers: { authorization: `Bearer ${token}` } })
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('resolves the user by a bearer token', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: true })
+    const { userId, token } = createUser()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        const user = this.user()
+        expect(user.services).to.equal(undefined)
+        return { userId: this.userId, username: user.username, testId }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), bearer(token), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.data.userId).to.equal(userId)
+      expect(res.data.testId).to.equal(testId)
+      done()
+    })
+  })
+
+  it('resolves the user by x-user-id and x-auth-token headers', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: true })
+    const { userId, token } = createUser()
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { userId: this.userId }
+      }
+    })
+
+    const headers = { 'x-user-id': userId, 'x-auth-token': token }
+    HTTP.get(toUrl(randomPath), { headers }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.data.userId).to.equal(userId)
+
+      const wrongUser = { 'x-user-id': Random.id(), 'x-auth-token': token }
+      HTTP.get(toUrl(randomPath), { headers: wrongUser }, (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.data.userId).to.equal(null)
+        done()
+      })
+    })
+  })
+
+  it('leaves userId null for optional auth', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: true })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { userId: this.userId, user: this.user() || null }
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), bearer(Random.secret()), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.data).to.deep.equal({ userId: null, user: null })
+      done()
+    })
+  })
+
+  it('responds with 401 if auth is required and the token is expired', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: true })
+    const { token } = createUser({ when: new Date(0) })
+
+    createHttpRoute({
+      path: randomPath,
+      auth: { required: true },
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), bearer(token), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(401)
+      expect(error.headers['www-authenticate']).to.equal('Bearer')
+      expect(error.data.title).to.equal('Unauthorized')
+      done()
+    })
+  })
+
+  it('allows routes to disable auth', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: { required: true } })
+
+    createHttpRoute({
+      path: randomPath,
+      auth: false,
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.content).to.equal(testId)
+      done()
+    })
+  })
+
+  it('responds with 403 if the permission hook denies access', function (done) {
+    const createHttpRoute = createHTTPFactory({ auth: { required: true } })
+    const { userId, token } = createUser()
+
+    createHttpRoute({
+      path: randomPath,
+      schema: {
+        ownerId: String
+      },
+      auth: {
+        permission: async (user, { data }) => user._id === data.ownerId
+      },
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(`${randomPath}?ownerId=${Random.id()}`), bearer(token), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(403)
+      expect(error.data.title).to.equal('Forbidden')
+
+      HTTP.get(toUrl(`${randomPath}?ownerId=${userId}`), bearer(token), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal(testId)
+        done()
+      })
+    })
+  })
+})
+
+describe('rate limit', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('counts unauthenticated requests to routes, that require auth', async function () {
+    const createHttpRoute = createHTTPFactory({ auth: { required: true }, rateLimit: { limit: 2, interval: 60000 } })
+    const route = createHttpRoute({
+      path: randomPath,
+      run: () => testId
+    })
+
+    const first = await inject(route, { url: randomPath })
+    const second = await inject(route, { url: randomPath })
+    const third = await inject(route, { url: randomPath })
+    expect(first.statusCode).to.equal(401)
+    expect(second.statusCode).to.equal(401)
+    expect(Number(second.headers['ratelimit-remaining'])).to.equal(0)
+    expect(third.statusCode).to.equal(429)
+  })
+
+  it('responds with 429 if the limit is exceeded', function (done) {
+    const createHttpRoute = createHTTPFactory({ rateLimit: { limit: 2, interval: 60000 } })
+
+    createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['ratelimit-limit']).to.equal('2')
+      expect(res.headers['ratelimit-remaining']).to.equal('1')
+      expect(Number(res.headers['ratelimit-reset'])).to.be.within(59, 60)
+
+      HTTP.get(toUrl(randomPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.headers['ratelimit-remaining']).to.equal('0')
+
+        HTTP.get(toUrl(randomPath), (err) => {
+          const error = err.response
+          expect(error.statusCode).to.equal(429)
+          expect(error.data.title).to.equal('Too Many Requests')
+          expect(Number(error.headers['retry-after'])).to.be.within(59, 60)
+          done()
+        })
+      })
+    })
+  })
+
+  it('counts the requests per route', function (done) {
+    const createHttpRoute = createHTTPFactory({ rateLimit: { limit: 1, interval: 60000 } })
+    const otherPath = createRandomPath()
+
+    createHttpRoute({ path: randomPath, run: () => testId })
+    createHttpRoute({ path: otherPath, run: () => testId })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err).to.equal(null)
+
+      HTTP.get(toUrl(otherPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal(testId)
+        done()
+      })
+    })
+  })
+
+  it('allows to limit by a custom key', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      rateLimit: { limit: 1, interval: 60000, key: req => req.query.apiKey },
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(`${randomPath}?apiKey=a`), (err) => {
+      expect(err).to.equal(null)
+
+      HTTP.get(toUrl(`${randomPath}?apiKey=b`), (err) => {
+        expect(err).to.equal(null)
+
+        HTTP.get(toUrl(`${randomPath}?apiKey=a`), (err) => {
+          expect(err.response.statusCode).to.equal(429)
+          done()
+        })
+      })
+    })
+  })
+
+  it('allows to use a custom store', function (done) {
+    const keys = []
+    const store = {
+      increment: async (key, interval) => {
+        keys.push(key)
+        return { count: 1, reset: Date.now() + interval }
+      }
+    }
+    const createHttpRoute = createHTTPFactory({ rateLimit: { limit: 1, interval: 1000, store } })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err).to.equal(null)
+      expect(keys.length).to.equal(1)
+      expect(keys[0].startsWith(`get ${randomPath}:`)).to.equal(true)
+      done()
+    })
+  })
+
+  it('allows routes to disable the limit', function (done) {
+    const createHttpRoute = createHTTPFactory({ rateLimit: { limit: 1, interval: 60000 } })
+
+    createHttpRoute({
+      path: randomPath,
+      rateLimit: false,
+      run: function () {
+        return testId
+      }
+    })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err).to.equal(null)
+
+      HTTP.get(toUrl(randomPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.headers['ratelimit-limit']).to.equal(undefined)
+        done()
+      })
+    })
+  })
+})
+
+describe('cors', function () {
+  let randomPath
+  let testId
+
+  const preflight = (headers = {}) => ({
+    headers: Object.assign({
+      origin: 'https://example.com',
+      'access-control-request-method': 'POST'
+    }, headers)
+  })
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('answers OPTIONS requests with the allowed methods', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({ path: randomPath, method: 'get', run: () => testId })
+    createHttpRoute({ path: randomPath, method: 'post', run: () => testId })
+
+    HTTP.call('options', toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(204)
+      expect(res.headers.allow).to.equal('GET, HEAD, POST, OPTIONS')
+      expect(res.headers['access-control-allow-origin']).to.equal(undefined)
+      done()
+    })
+  })
+
+  it('answers preflights with the methods of the registered routes', function (done) {
+    const createHttpRoute = createHTTPFactory({ cors: { maxAge: 600 } })
+
+    createHttpRoute({ path: randomPath, method: 'get', run: () => testId })
+    createHttpRoute({ path: randomPath, method: 'post', run: () => testId })
+
+    const options = preflight({ 'access-control-request-headers': 'content-type, x-custom' })
+    HTTP.call('options', toUrl(randomPath), options, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(204)
+      expect(res.headers['access-control-allow-origin']).to.equal('*')
+      expect(res.headers['access-control-allow-methods']).to.equal('GET, HEAD, POST')
+      expect(res.headers['access-control-allow-headers']).to.equal('content-type, x-custom')
+      expect(res.headers['access-control-max-age']).to.equal('600')
+      done()
+    })
+  })
+
+  it('adds cors headers to actual responses and errors', function (done) {
+    const createHttpRoute = createHTTPFactory({
+      cors: { origin: ['https://example.com'], credentials: true, exposedHeaders: ['X-Total'] }
+    })
+    const otherPath = createRandomPath()
+
+    createHttpRoute({ path: randomPath, run: () => ({ testId }) })
+    createHttpRoute({
+      path: otherPath,
+      run: () => {
+        throw new NotFoundError(testId)
+      }
+    })
+
+    const headers = { origin: 'https://example.com' }
+    HTTP.get(toUrl(randomPath), { headers }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['access-control-allow-origin']).to.equal('https://example.com')
+      expect(res.headers['access-control-allow-credentials']).to.equal('true')
+      expect(res.headers['access-control-expose-headers']).to.equal('X-Total')
+      expect(res.headers.vary).to.equal('Origin, Accept')
+
+      HTTP.get(toUrl(otherPath), { headers }, (err) => {
+        const error = err.response
+        expect(error.statusCode).to.equal(404)
+        expect(error.headers['access-control-allow-origin']).to.equal('https://example.com')
+        done()
+      })
+    })
+  })
+
+  it('omits cors headers for origins, that are not allowed', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      cors: { origin: async origin => origin.endsWith('.example.com') },
+      run: () => testId
+    })
+
+    HTTP.call('options', toUrl(randomPath), preflight({ origin: 'https://evil.com' }), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(204)
+      expect(res.headers['access-control-allow-origin']).to.equal(undefined)
+
+      HTTP.call('options', toUrl(randomPath), preflight({ origin: 'https://app.example.com' }), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.headers['access-control-allow-origin']).to.equal('https://app.example.com')
+        expect(res.headers['access-control-allow-methods']).to.equal('POST')
+        done()
+      })
+    })
+  })
+
+  it('allows routes to disable cors', function (done) {
+    const createHttpRoute = createHTTPFactory({ cors: true })
+
+    createHttpRoute({ path: randomPath, cors: false, run: () => testId })
+
+    HTTP.get(toUrl(randomPath), { headers: { origin: 'https://example.com' } }, (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.content).to.equal(testId)
+      expect(res.headers['access-control-allow-origin']).to.equal(undefined)
+      done()
+    })
+  })
+})
+
+describe('openapi', function () {
+  let randomPath
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+  })
+
+  it('creates an OpenAPI document of the routes', function () {
+    const createHttpRoute = createHTTPFactory({
+      schemaFactory,
+      auth: true,
+      openapi: { info: { title: 'Test API', version: '2.0.0' } }
+    })
+
+    createHttpRoute({
+      path: `${randomPath}/:userId`,
+      method: 'get',
+      summary: 'Get a user',
+      tags: ['users'],
+      schema: {
+        userId: String,
+        fields: { type: Array, optional: true },
+        'fields.$': { type: String, allowedValues: ['name', 'email'] }
+      },
+      response: {
+        schema: {
+          name: String,
+          age: { type: SimpleSchema.Integer, min: 0, optional: true }
+        }
+      },
+      run: () => ({ name: 'John' })
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      auth: { required: true },
+      schema: {
+        name: { type: String, max: 64 }
+      },
+      response: {
+        schema: {
+          201: { userId: String }
+        }
+      },
+      run: () => ({ userId: Random.id() })
+    })
+
+    const document = createHttpRoute.openapi()
+    expect(document.openapi).to.equal('3.1.0')
+    expect(document.info).to.deep.equal({ title: 'Test API', version: '2.0.0' })
+    expect(document.components.securitySchemes.bearerAuth).to.deep.equal({ type: 'http', scheme: 'bearer' })
+
+    const getUser = document.paths[`${randomPath}/{userId}`].get
+    expect(getUser.summary).to.equal('Get a user')
+    expect(getUser.tags).to.deep.equal(['users'])
+    expect(getUser.security).to.deep.equal([{}, { bearerAuth: [] }])
+    expect(getUser.parameters).to.deep.equal([
+      { name: 'userId', in: 'path', required: true, schema: { type: 'string' } },
+      {
+        name: 'fields',
+        in: 'query',
+        required: false,
+        schema: { type: 'array', items: { type: 'string', enum: ['name', 'email'] } }
+      }
+    ])
+    expect(getUser.responses['200'].content['application/json'].schema).to.deep.equal({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'integer', minimum: 0 }
+      },
+      required: ['name']
+    })
+    expect(getUser.responses['400'].description).to.equal('Bad Request')
+
+    const createUser = document.paths[randomPath].post
+    expect(createUser.security).to.deep.equal([{ bearerAuth: [] }])
+    expect(createUser.requestBody.content['application/json'].schema).to.deep.equal({
+      type: 'object',
+      properties: { name: { type: 'string', maxLength: 64 } },
+      required: ['name']
+    })
+    expect(createUser.responses['201'].content['application/ejson'].schema.required).to.deep.equal(['userId'])
+    expect(createUser.responses['401'].description).to.equal('Unauthorized')
+  })
+
+  it('converts check patterns and allows custom converters', function () {
+    const createHttpRoute = createHTTPFactory()
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'put',
+      schema: {
+        title: String,
+        count: Match.Maybe(Match.Integer),
+        tags: [String],
+        value: Match.OneOf(String, Number)
+      },
+      run: () => null
+    })
+
+    const schema = createHttpRoute.openapi().paths[randomPath].put.requestBody.content['application/json'].schema
+    expect(schema).to.deep.equal({
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        count: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } },
+        value: { anyOf: [{ type: 'string' }, { type: 'number' }] }
+      },
+      required: ['title', 'tags', 'value']
+    })
+
+    const toJSONSchema = () => ({ type: 'object', properties: { custom: { type: 'string' } } })
+    const custom = createHttpRoute.openapi({ toJSONSchema }).paths[randomPath].put.requestBody
+    expect(custom.content['application/json'].schema.properties.custom).to.deep.equal({ type: 'string' })
+  })
+
+  it('serves the document on a path', function (done) {
+    const openapiPath = createRandomPath()
+    const createHttpRoute = createHTTPFactory({ openapi: { path: openapiPath } })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      description: 'Returns nothing.',
+      run: () => null
+    })
+
+    HTTP.get(toUrl(openapiPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.headers['content-type']).to.equal('application/json')
+      expect(res.data.paths[randomPath].get.description).to.equal('Returns nothing.')
+      expect(res.data.paths[openapiPath]).to.equal(undefined)
+      done()
+    })
+  })
+})
+
+describe('route registry', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('lists the routes of the factory', function () {
+    const createHttpRoute = createHTTPFactory()
+    const getRoute = createHttpRoute({ path: randomPath, method: 'get', run: () => testId })
+    const rawRoute = createHttpRoute({ path: randomPath, method: ['post', 'put'], raw: true, run: () => testId })
+
+    const routes = createHttpRoute.routes()
+    expect(routes).to.deep.equal([getRoute, rawRoute])
+    expect(getRoute.path).to.equal(randomPath)
+    expect(getRoute.methods).to.deep.equal(['get'])
+    expect(getRoute.raw).to.equal(false)
+    expect(rawRoute.methods).to.deep.equal(['post', 'put'])
+    expect(rawRoute.raw).to.equal(true)
+    expect(getRoute.isEnabled()).to.equal(true)
+  })
+
+  it('disables only the methods of the route', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const getRoute = createHttpRoute({ path: randomPath, method: 'get', run: () => 'get' })
+    createHttpRoute({ path: randomPath, method: 'post', run: () => 'post' })
+
+    getRoute.disable()
+
+    const disabled = await inject(createHttpRoute, { url: randomPath })
+    expect(disabled.statusCode).to.equal(503)
+
+    const enabled = await inject(createHttpRoute, { method: 'post', url: randomPath })
+    expect(enabled.statusCode).to.equal(200)
+    expect(enabled.body).to.equal('post')
+  })
+
+  it('responds with 503 for disabled routes, including their middleware', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    let middlewareCalled = false
+
+    const route = createHttpRoute({
+      path: randomPath,
+      middleware: (req, res, next) => {
+        middlewareCalled = true
+        next()
+      },
+      run: () => testId
+    })
+
+    route.disable()
+    expect(route.isEnabled()).to.equal(false)
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      const error = err.response
+      expect(error.statusCode).to.equal(503)
+      expect(error.data.title).to.equal('Service Unavailable')
+      expect(middlewareCalled).to.equal(false)
+
+      route.enable()
+      HTTP.get(toUrl(randomPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.content).to.equal(testId)
+        expect(middlewareCalled).to.equal(true)
+        done()
+      })
+    })
+  })
+
+  it('passes requests to the next handler for disabled routes with fallthrough', function (done) {
+    const createHttpRoute = createHTTPFactory()
+
+    const route = createHttpRoute({ path: randomPath, method: 'get', run: () => testId })
+    createHttpRoute({ path: randomPath, method: 'get', run: () => 'fallback' })
+
+    route.disable({ fallthrough: true })
+
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.content).to.equal('fallback')
+      done()
+    })
+  })
+
+  it('removes routes and their middleware from the connect handlers', function (done) {
+    const createHttpRoute = createHTTPFactory({ openapi: {} })
+    const stackSize = WebApp.connectHandlers.stack.length
+
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      middleware: (req, res, next) => next(),
+      run: () => testId
+    })
+
+    expect(WebApp.connectHandlers.stack.length).to.be.above(stackSize)
+    expect(createHttpRoute.openapi().paths[randomPath]).to.not.equal(undefined)
+
+    route.remove()
+    expect(WebApp.connectHandlers.stack.length).to.equal(stackSize)
+    expect(createHttpRoute.routes()).to.deep.equal([])
+    expect(createHttpRoute.openapi().paths[randomPath]).to.equal(undefined)
+
+    // the path is no longer known, so there is no 405
+    HTTP.get(toUrl(randomPath), (err, res) => {
+      expect(err).to.equal(null)
+      expect(res.statusCode).to.equal(200)
+      expect(res.content).to.not.equal(testId)
+      done()
+    })
+  })
+})
+
+describe('inject', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('supports routes, that write the response on their own', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      run: function (req, res) {
+        res.writeHead(202, { 'Content-Type': 'text/plain' })
+        res.end(testId)
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(202)
+    expect(response.body).to.equal(testId)
+
+    const emptyRoute = createHttpRoute({
+      path: `${randomPath}/empty`,
+      run: function (req, res) {
+        res.statusCode = 204
+        res.end()
+      }
+    })
+
+    const empty = await inject(emptyRoute, { url: `${randomPath}/empty` })
+    expect(empty.statusCode).to.equal(204)
+  })
+
+  it('runs a route without an HTTP server', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, body: true })
+    let middlewareCalled = false
+
+    const route = createHttpRoute({
+      path: `${randomPath}/:userId`,
+      method: 'post',
+      schema: {
+        userId: String,
+        name: String
+      },
+      middleware: (req, res, next) => {
+        middlewareCalled = true
+        next()
+      },
+      run: function () {
+        this.status(201).header('X-Test', testId)
+        return this.data()
+      }
+    })
+
+    const userId = Random.id()
+    const response = await inject(route, { method: 'post', url: `${randomPath}/${userId}`, body: { name: 'John' } })
+    expect(middlewareCalled).to.equal(true)
+    expect(response.statusCode).to.equal(201)
+    expect(response.headers['x-test']).to.equal(testId)
+    expect(response.headers['content-type']).to.equal('application/json')
+    expect(response.json).to.deep.equal({ name: 'John', userId })
+    expect(response.body).to.equal(JSON.stringify({ name: 'John', userId }))
+  })
+
+  it('runs the global middleware and all routes of a factory', async function () {
+    const createHttpRoute = createHTTPFactory({
+      schemaFactory,
+      addTestId: function (req, res, next) {
+        req.testId = testId
+        next()
+      }
+    })
+
+    createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      schema: {
+        value: String
+      },
+      run: function (req) {
+        return `${req.testId}:${this.data().value}`
+      }
+    })
+
+    const response = await inject(createHttpRoute, { url: randomPath, query: { value: 'foo' } })
+    expect(response.statusCode).to.equal(200)
+    expect(response.body).to.equal(`${testId}:foo`)
+    expect(response.json).to.equal(undefined)
+
+    const invalid = await inject(createHttpRoute, { url: randomPath, query: { other: 'foo' } })
+    expect(invalid.statusCode).to.equal(400)
+    expect(invalid.json.title).to.equal('Bad Request')
+
+    const notAllowed = await inject(createHttpRoute, { method: 'delete', url: randomPath })
+    expect(notAllowed.statusCode).to.equal(405)
+
+    const notFound = await inject(createHttpRoute, { url: createRandomPath() })
+    expect(notFound.statusCode).to.equal(404)
+  })
+
+  it('throws if the target is not a factory or a route', function () {
+    expect(() => inject({}, { url: randomPath })).to.throw('Expected a factory or a route to inject the request.')
+  })
+})
+
+describe('logger', function () {
+  let randomPath
+  let testId
+
+  // a minimal logger with child bindings, like pino or winston
+  const createTestLogger = (lines = [], bindings = {}) => ({
+    lines,
+    child: fields => createTestLogger(lines, Object.assign({}, bindings, fields)),
+    debug: (...args) => lines.push({ level: 'debug', bindings, args }),
+    info: (...args) => lines.push({ level: 'info', bindings, args }),
+    warn: (...args) => lines.push({ level: 'warn', bindings, args }),
+    error: (...args) => lines.push({ level: 'error', bindings, args })
+  })
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('generates or propagates request ids', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      run: function () {
+        return { requestId: this.requestId }
+      }
+    })
+
+    const generated = await inject(route, { url: randomPath })
+    expect(generated.headers['x-request-id']).to.be.a('string')
+    expect(generated.json.requestId).to.equal(generated.headers['x-request-id'])
+
+    const propagated = await inject(route, { url: randomPath, headers: { 'X-Request-Id': testId } })
+    expect(propagated.headers['x-request-id']).to.equal(testId)
+    expect(propagated.json.requestId).to.equal(testId)
+
+    const invalid = await inject(route, { url: randomPath, headers: { 'X-Request-Id': 'no spaces allowed' } })
+    expect(invalid.headers['x-request-id']).to.not.equal('no spaces allowed')
+  })
+
+  it('logs leveled messages with the request context', async function () {
+    const logger = createTestLogger()
+    const createHttpRoute = createHTTPFactory({ logger, accessLog: false })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: function () {
+        this.log('info message')
+        this.log.warn('warn message', testId)
+        return this.requestId
+      }
+    })
+
+    const { body: requestId } = await inject(route, { url: randomPath })
+    expect(logger.lines).to.deep.equal([
+      { level: 'info', bindings: { requestId, method: 'GET', path: randomPath }, args: ['info message'] },
+      { level: 'warn', bindings: { requestId, method: 'GET', path: randomPath }, args: ['warn message', testId] }
+    ])
+  })
+
+  it('logs an access log line per request', async function () {
+    const logger = createTestLogger()
+    const createHttpRoute = createHTTPFactory({ logger })
+    const route = createHttpRoute({
+      path: randomPath,
+      run: () => testId
+    })
+
+    const { headers } = await inject(route, { url: `${randomPath}?foo=bar` })
+    expect(logger.lines.length).to.equal(1)
+
+    const [line] = logger.lines
+    expect(line.level).to.equal('info')
+    expect(line.args).to.deep.equal(['Request completed'])
+    expect(line.bindings.requestId).to.equal(headers['x-request-id'])
+    expect(line.bindings.method).to.equal('GET')
+    expect(line.bindings.url).to.equal(`${randomPath}?foo=bar`)
+    expect(line.bindings.statusCode).to.equal(200)
+    expect(line.bindings.size).to.equal(testId.length)
+    expect(line.bindings.duration).to.be.a('number')
+  })
+
+  it('only tracks requests with the methods of the route', async function () {
+    const logger = createTestLogger()
+    const createHttpRoute = createHTTPFactory({ logger })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      run: () => testId
+    })
+
+    const other = await inject(route, { url: `${randomPath}/file.js` })
+    expect(other.statusCode).to.equal(404)
+    expect(other.headers['x-request-id']).to.equal(undefined)
+    expect(logger.lines).to.deep.equal([])
+
+    const response = await inject(route, { method: 'post', url: randomPath })
+    expect(response.headers['x-request-id']).to.be.a('string')
+    expect(logger.lines.length).to.equal(1)
+  })
+
+  it('logs failed requests', async function () {
+    const logger = createTestLogger()
+    const createHttpRoute = createHTTPFactory({ schemaFactory, logger, accessLog: false })
+    const route = createHttpRoute({
+      path: randomPath,
+      schema: { value: String },
+      run: function () {
+        throw new Error(testId)
+      }
+    })
+
+    await inject(route, { url: randomPath })
+    await inject(route, { url: randomPath, query: { value: 'foo' } })
+
+    const [validationLine, errorLine] = logger.lines
+    expect(validationLine.level).to.equal('warn')
+    expect(validationLine.bindings.statusCode).to.equal(400)
+    expect(validationLine.args).to.deep.equal(['Bad Request'])
+    expect(errorLine.level).to.equal('error')
+    expect(errorLine.bindings.statusCode).to.equal(500)
+    expect(errorLine.bindings.err.message).to.equal(testId)
+  })
+
+  it('logs invalid responses in log mode', async function () {
+    const logger = createTestLogger()
+    const createHttpRoute = createHTTPFactory({ schemaFactory, logger, accessLog: false })
+    const route = createHttpRoute({
+      path: randomPath,
+      response: { schema: { count: Number }, mode: 'log' },
+      run: () => ({ testId })
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.json).to.deep.equal({ testId })
+    expect(logger.lines.length).to.equal(1)
+
+    const [line] = logger.lines
+    expect(line.level).to.equal('warn')
+    expect(line.bindings.requestId).to.equal(response.headers['x-request-id'])
+    expect(line.args).to.deep.equal([`Invalid response: ${line.bindings.err.message}`])
+  })
+})
+
+describe('metrics', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('collects request counts, latencies and validation failures per route', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, metrics: true })
+    const route = createHttpRoute({
+      path: `${randomPath}/:itemId`,
+      method: 'get',
+      schema: { itemId: String, value: String },
+      run: () => testId
+    })
+
+    await inject(route, { url: `${randomPath}/1`, query: { value: 'foo' } })
+    await inject(route, { url: `${randomPath}/2`, query: { value: 'bar' } })
+    await inject(route, { url: `${randomPath}/3` })
+
+    const registry = createHttpRoute.metrics
+    const labels = { route: `${randomPath}/:itemId`, method: 'GET' }
+    expect(registry.counter('http_requests_total').get(Object.assign({ status: 200 }, labels))).to.equal(2)
+    expect(registry.counter('http_requests_total').get(Object.assign({ status: 400 }, labels))).to.equal(1)
+    expect(registry.counter('http_validation_failures_total').get(labels)).to.equal(1)
+    expect(registry.gauge('http_requests_in_flight').get(labels)).to.equal(0)
+    expect(registry.histogram('http_request_duration_seconds').get(labels).count).to.equal(3)
+  })
+
+  it('allows to record custom metrics in run', async function () {
+    const createHttpRoute = createHTTPFactory({ metrics: { prefix: 'app_' } })
+    const route = createHttpRoute({
+      path: randomPath,
+      run: function () {
+        this.metrics.counter('orders_total', 'Number of orders.').inc({ type: 'book' })
+        this.metrics.gauge('stock', 'Items in stock.').set(42)
+        return testId
+      }
+    })
+
+    await inject(route, { url: randomPath })
+    await inject(route, { url: randomPath })
+
+    expect(createHttpRoute.metrics.counter('orders_total').get({ type: 'book' })).to.equal(2)
+    expect(createHttpRoute.metrics.gauge('stock').get()).to.equal(42)
+    expect(createHttpRoute.metrics.render()).to.include('# TYPE app_http_requests_total counter')
+  })
+
+  it('serves the metrics in the Prometheus text format', function (done) {
+    const metricsPath = createRandomPath()
+    const createHttpRoute = createHTTPFactory({ metrics: { path: metricsPath, buckets: [0.1, 1] } })
+
+    createHttpRoute({ path: randomPath, method: 'get', run: () => testId })
+
+    HTTP.get(toUrl(randomPath), (err) => {
+      expect(err).to.equal(null)
+
+      HTTP.get(toUrl(metricsPath), (err, res) => {
+        expect(err).to.equal(null)
+        expect(res.headers['content-type']).to.equal('text/plain; version=0.0.4; charset=utf-8')
+
+        const lines = res.content.split('\n')
+        expect(lines).to.include('# TYPE http_requests_total counter')
+        expect(lines).to.include(`http_requests_total{status="200",route="${randomPath}",method="GET"} 1`)
+        expect(lines).to.include(`http_request_duration_seconds_bucket{route="${randomPath}",method="GET",le="+Inf"} 1`)
+        expect(lines).to.include(`http_request_duration_seconds_count{route="${randomPath}",method="GET"} 1`)
+        expect(lines).to.include('# TYPE http_requests_in_flight gauge')
+        done()
+      })
+    })
+  })
+})
+
+describe('etag and caching', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('sends ETags of the serialized result and responds with 304 if they match', async function () {
+    const createHttpRoute = createHTTPFactory({ etag: true })
+    let runs = 0
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      cacheControl: 'public, max-age=60',
+      run: function () {
+        runs++
+        return { testId }
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    const { etag } = response.headers
+    expect(response.statusCode).to.equal(200)
+    expect(etag).to.match(/^"[0-9a-f]+-.+"$/)
+    expect(response.headers['cache-control']).to.equal('public, max-age=60')
+
+    const notModified = await inject(route, { url: randomPath, headers: { 'If-None-Match': `"other", ${etag}` } })
+    expect(notModified.statusCode).to.equal(304)
+    expect(notModified.body).to.equal('')
+    expect(notModified.headers.etag).to.equal(etag)
+    expect(notModified.headers['cache-control']).to.equal('public, max-age=60')
+    expect(notModified.headers['content-type']).to.equal(undefined)
+
+    const modified = await inject(route, { url: randomPath, headers: { 'If-None-Match': '"other"' } })
+    expect(modified.statusCode).to.equal(200)
+    expect(modified.json).to.deep.equal({ testId })
+    expect(runs).to.equal(3)
+  })
+
+  it('allows to set the ETag by a version key', async function () {
+    const createHttpRoute = createHTTPFactory()
+    let computed = false
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: function () {
+        if (this.etag(testId)) return null
+        computed = true
+        return 'expensive'
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.headers.etag).to.equal(`"${testId}"`)
+    expect(computed).to.equal(true)
+
+    computed = false
+    const notModified = await inject(route, { url: randomPath, headers: { 'If-None-Match': `W/"${testId}"` } })
+    expect(notModified.statusCode).to.equal(304)
+    expect(computed).to.equal(false)
+  })
+
+  it('honours If-Modified-Since', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const modifiedAt = new Date('2020-01-01T00:00:00.000Z')
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      run: function () {
+        this.lastModified(modifiedAt)
+        return testId
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.headers['last-modified']).to.equal(modifiedAt.toUTCString())
+
+    const notModified = await inject(route, { url: randomPath, headers: { 'If-Modified-Since': modifiedAt.toUTCString() } })
+    expect(notModified.statusCode).to.equal(304)
+
+    const since = new Date('2019-12-31T00:00:00.000Z').toUTCString()
+    const modified = await inject(route, { url: randomPath, headers: { 'If-Modified-Since': since } })
+    expect(modified.statusCode).to.equal(200)
+    expect(modified.body).to.equal(testId)
+  })
+
+  it('does not send ETags for other methods or statuses', async function () {
+    const createHttpRoute = createHTTPFactory({ etag: true, cacheControl: 'no-cache' })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: ['post', 'get'],
+      run: function () {
+        if (this.data().created) this.status(201)
+        return testId
+      }
+    })
+
+    const posted = await inject(route, { method: 'post', url: randomPath })
+    expect(posted.headers.etag).to.equal(undefined)
+    expect(posted.headers['cache-control']).to.equal(undefined)
+
+    const created = await inject(route, { url: randomPath, query: { created: true } })
+    expect(created.statusCode).to.equal(201)
+    expect(created.headers.etag).to.equal(undefined)
+
+    const disabled = createHttpRoute({ path: createRandomPath(), method: 'get', etag: false, cacheControl: false, run: () => testId })
+    const response = await inject(disabled, { url: disabled.path })
+    expect(response.headers.etag).to.equal(undefined)
+    expect(response.headers['cache-control']).to.equal(undefined)
+  })
+})
+
+describe('streaming', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('pipes readable streams as raw bytes', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      run: () => Readable.from([Buffer.from('foo'), Buffer.from(testId)], { objectMode: false })
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(200)
+    expect(response.headers['content-type']).to.equal('application/octet-stream')
+    expect(response.body).to.equal(`foo${testId}`)
+  })
+
+  it('streams async iterators as NDJSON', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      run: async function * () {
+        yield { index: 0, testId }
+        yield { index: 1, testId }
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.headers['content-type']).to.equal('application/x-ndjson')
+    expect(response.body).to.equal(`{"index":0,"testId":"${testId}"}\n{"index":1,"testId":"${testId}"}\n`)
+  })
+
+  it('streams cursors as JSON array', async function () {
+    LocalCollection.insert({ streamId: testId, index: 0 })
+    LocalCollection.insert({ streamId: testId, index: 1 })
+
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      stream: 'json',
+      run: function () {
+        this.status(206)
+        return LocalCollection.find({ streamId: testId })
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(206)
+    expect(response.headers['content-type']).to.equal('application/json')
+    expect(response.json.map(doc => doc.index)).to.deep.equal([0, 1])
+
+    const empty = createHttpRoute({ path: createRandomPath(), stream: 'json', run: () => LocalCollection.find({ streamId: Random.id() }) })
+    const emptyResponse = await inject(empty, { url: empty.path })
+    expect(emptyResponse.json).to.deep.equal([])
+  })
+
+  it('handles errors before and during the stream', async function () {
+    const errors = []
+    const createHttpRoute = createHTTPFactory({ onError: e => errors.push(e.message) })
+    const beforeStart = createHttpRoute({
+      path: randomPath,
+      run: async function * () {
+        throw new NotFoundError('before')
+      }
+    })
+    const duringStream = createHttpRoute({
+      path: createRandomPath(),
+      run: async function * () {
+        yield { testId }
+        throw new Error('during')
+      }
+    })
+
+    const response = await inject(beforeStart, { url: randomPath })
+    expect(response.statusCode).to.equal(404)
+
+    let streamError
+    try {
+      await inject(duringStream, { url: duringStream.path })
+    } catch (e) {
+      streamError = e
+    }
+
+    expect(streamError.message).to.equal('during')
+    expect(errors).to.deep.equal(['before', 'during'])
+  })
+
+  it('stops streaming, if the client aborts the request', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    let stopped = false
+
+    createHttpRoute({
+      path: randomPath,
+      run: async function * () {
+        try {
+          while (true) {
+            yield { testId }
+            await new Promise(resolve => setTimeout(resolve, 5))
+          }
+        } finally {
+          stopped = true
+        }
+      }
+    })
+
+    const req = httpRequest(toUrl(randomPath), res => {
+      res.once('data', () => {
+        req.destroy()
+        setTimeout(() => {
+          expect(stopped).to.equal(true)
+          done()
+        }, 50)
+      })
+    })
+    req.on('error', () => {})
+    req.end()
+  })
+})
+
+describe('server-sent events', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  it('sends events with names, ids and multiline data', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      sse: { heartbeat: false },
+      run: function () {
+        this.send('progress', { testId, percent: 50 }, 1)
+        this.send(null, 'multiple\nlines')
+        this.close()
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(200)
+    expect(response.headers['content-type']).to.equal('text/event-stream; charset=utf-8')
+    expect(response.headers['cache-control']).to.equal('no-cache')
+    expect(response.body).to.equal(`:\n\nid: 1\nevent: progress\ndata: {"testId":"${testId}","percent":50}\n\ndata: multiple\ndata: lines\n\n`)
+  })
+
+  it('sends heartbeats, the retry time and receives the last event id', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      sse: { heartbeat: 10, retry: 1000 },
+      run: function () {
+        this.send('resume', { lastEventId: this.lastEventId })
+        setTimeout(() => this.close(), 45)
+      }
+    })
+
+    const response = await inject(route, { url: randomPath, headers: { 'Last-Event-ID': '41' } })
+    const [retry, event, ...heartbeats] = response.body.split('\n\n').filter(Boolean)
+    expect(retry).to.equal('retry: 1000')
+    expect(event).to.equal('event: resume\ndata: {"lastEventId":"41"}')
+    expect(heartbeats.length).to.be.above(1)
+    heartbeats.forEach(heartbeat => expect(heartbeat).to.equal(':'))
+  })
+
+  it('forwards changes of cursors and stops observing, once the client disconnects', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const docId = LocalCollection.insert({ sseId: testId, percent: 0 })
+    let stopped = false
+    let closed = false
+
+    createHttpRoute({
+      path: randomPath,
+      sse: true,
+      run: function () {
+        this.onClose(() => { closed = true })
+
+        const cursor = LocalCollection.find({ sseId: testId })
+        const observeChanges = cursor.observeChanges.bind(cursor)
+        cursor.observeChanges = async callbacks => {
+          const handle = await observeChanges(callbacks)
+          return { stop: () => { stopped = true; handle.stop() } }
+        }
+        return cursor
+      }
+    })
+
+    let body = ''
+    const req = httpRequest(toUrl(randomPath), res => {
+      expect(res.headers['content-type']).to.equal('text/event-stream; charset=utf-8')
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        body += chunk
+        if (body.includes('event: added')) {
+          LocalCollection.update(docId, { $set: { percent: 100 } })
+          LocalCollection.remove(docId)
+        }
+        if (body.includes('event: removed')) {
+          req.destroy()
+          setTimeout(() => {
+            expect(body).to.include(`event: added\ndata: {"id":"${docId}","fields":{"sseId":"${testId}","percent":0}}`)
+            expect(body).to.include(`event: changed\ndata: {"id":"${docId}","fields":{"percent":100}}`)
+            expect(body).to.include(`event: removed\ndata: {"id":"${docId}"}`)
+            expect(stopped).to.equal(true)
+            expect(closed).to.equal(true)
+            done()
+          }, 50)
+        }
+      })
+    })
+    req.on('error', () => {})
+    req.end()
+  })
+
+  it('responds with errors, until the first event is sent', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    const beforeRoute = createHttpRoute({
+      path: randomPath,
+      sse: true,
+      onError: e => errors.push(e.message),
+      run: function () {
+        throw new Error('before')
+      }
+    })
+    const afterRoute = createHttpRoute({
+      path: `${randomPath}/after`,
+      sse: { heartbeat: false },
+      onError: e => errors.push(e.message),
+      run: function () {
+        this.send('progress', { testId })
+        throw new Error('after')
+      }
+    })
+
+    const before = await inject(beforeRoute, { url: randomPath })
+    expect(before.statusCode).to.equal(500)
+
+    const after = await inject(afterRoute, { url: `${randomPath}/after` })
+    expect(after.statusCode).to.equal(200)
+    expect(after.body).to.equal(`:\n\nevent: progress\ndata: {"testId":"${testId}"}\n\n`)
+    expect(errors).to.deep.equal(['before', 'after'])
+  })
+
+  it('skips the stream, if run responds without content', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const route = createHttpRoute({
+      path: randomPath,
+      sse: true,
+      run: function () {
+        this.status(204)
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(204)
+    expect(response.body).to.equal('')
+  })
+})
+
+describe('timeouts', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  const waitForAbort = signal => new Promise(resolve => signal.addEventListener('abort', resolve))
+
+  it('responds with 504 and aborts the signal, once the timeout is exceeded', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    let reason
+
+    const route = createHttpRoute({
+      path: randomPath,
+      timeout: 20,
+      onError: e => errors.push(e),
+      run: async function () {
+        await waitForAbort(this.signal)
+        reason = this.signal.reason
+        return { testId }
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(504)
+    expect(response.json.title).to.equal('Gateway Timeout')
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(reason).to.be.instanceOf(GatewayTimeoutError)
+    expect(errors).to.deep.equal([reason])
+  })
+
+  it('allows routes to override the timeout of the factory', async function () {
+    const createHttpRoute = createHTTPFactory({ timeout: 10 })
+    const route = createHttpRoute({
+      path: randomPath,
+      timeout: false,
+      run: async function () {
+        await new Promise(resolve => setTimeout(resolve, 30))
+        return { testId, aborted: this.signal.aborted }
+      }
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({ testId, aborted: false })
+  })
+
+  it('aborts the signal, once the client disconnects', function (done) {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+
+    createHttpRoute({
+      path: randomPath,
+      onError: e => errors.push(e),
+      run: async function () {
+        await waitForAbort(this.signal)
+        expect(this.signal.reason.message).to.equal('The client has disconnected.')
+        setTimeout(() => {
+          expect(errors).to.deep.equal([])
+          done()
+        }, 10)
+        throw this.signal.reason
+      }
+    })
+
+    const req = httpRequest(toUrl(randomPath))
+    req.on('error', () => {})
+    req.end()
+    setTimeout(() => req.destroy(), 20)
+  })
+
+  it('stops streaming and destroys the source, once the timeout is exceeded', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    const source = new Readable({ objectMode: true, read () {} })
+
+    const route = createHttpRoute({
+      path: randomPath,
+      timeout: 10,
+      onError: e => errors.push(e),
+      run: () => source
+    })
+
+    const response = await inject(route, { url: randomPath })
+    expect(response.statusCode).to.equal(504)
+
+    source.push({ testId })
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(source.destroyed).to.equal(true)
+    expect(errors.length).to.equal(1)
+    expect(errors[0]).to.be.instanceOf(GatewayTimeoutError)
+  })
+
+  it('provides a minimal signal, if the runtime has no AbortController', async function () {
+    const createHttpRoute = createHTTPFactory()
+    let signal
+    let event
+    let reason
+
+    const route = createHttpRoute({
+      path: randomPath,
+      timeout: 10,
+      run: async function () {
+        signal = this.signal
+        expect(signal.aborted).to.equal(false)
+        signal.onabort = e => { event = e }
+        await waitForAbort(signal)
+        reason = signal.reason
+        return { testId }
+      }
+    })
+
+    const { AbortController } = globalThis
+    globalThis.AbortController = undefined
+    let response
+    try {
+      response = await inject(route, { url: randomPath })
+    } finally {
+      globalThis.AbortController = AbortController
+    }
+    expect(response.statusCode).to.equal(504)
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(signal).to.not.be.instanceOf(AbortSignal)
+    expect(signal.aborted).to.equal(true)
+    expect(reason).to.be.instanceOf(GatewayTimeoutError)
+    expect(event).to.deep.equal({ type: 'abort', target: signal })
+    expect(() => signal.throwIfAborted()).to.throw(GatewayTimeoutError)
+  })
+})
+
+describe('request schemas', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  const checkSchemaFactory = definitions => ({
+    validate (doc) {
+      check(doc, definitions)
+    }
+  })
+
+  it('validates and cleans params, query and headers with SimpleSchema', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+    const route = createHttpRoute({
+      path: `${randomPath}/:docId`,
+      method: 'get',
+      request: {
+        params: { docId: String },
+        query: {
+          limit: { type: SimpleSchema.Integer, max: 100 },
+          tags: { type: Array, optional: true },
+          'tags.$': String
+        },
+        headers: { 'X-Api-Version': SimpleSchema.Integer }
+      },
+      run: function () {
+        return { data: this.data(), headers: this.headers() }
+      }
+    })
+
+    const response = await inject(route, {
+      url: `${randomPath}/${testId}`,
+      query: { limit: '10', tags: 'foo', unknown: 'bar' },
+      headers: { 'X-Api-Version': '2' }
+    })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({
+      data: { docId: testId, limit: 10, tags: ['foo'] },
+      headers: { 'X-Api-Version': 2 }
+    })
+  })
+
+  it('coerces query strings by check patterns', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory: checkSchemaFactory })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      request: {
+        query: {
+          limit: Match.Integer,
+          ratio: Number,
+          active: Match.Maybe(Boolean),
+          ids: [String],
+          since: Match.Optional(Date)
+        }
+      },
+      run: function () {
+        const { limit, ratio, active, ids, since } = this.data()
+        return { limit, ratio, active, ids, since: since.toISOString() }
+      }
+    })
+
+    const since = new Date().toISOString()
+    const response = await inject(route, {
+      url: randomPath,
+      query: { limit: '10', ratio: '0.5', active: 'false', ids: testId, since }
+    })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({ limit: 10, ratio: 0.5, active: false, ids: [testId], since })
+  })
+
+  it('responds with the invalid part of the request', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      request: {
+        query: { dryRun: { type: Boolean, optional: true } },
+        body: { title: String }
+      },
+      run: () => ({ testId })
+    })
+
+    const response = await inject(route, {
+      method: 'post',
+      url: randomPath,
+      query: { dryRun: 'true' },
+      body: { name: testId }
+    })
+    expect(response.statusCode).to.equal(400)
+    expect(response.json.info).to.equal('Invalid body: Title is required')
+    expect(response.json.details).to.deep.equal([{ in: 'body', name: 'title', type: 'required', message: 'Title is required' }])
+
+    const checkRoute = createHTTPFactory({ schemaFactory: checkSchemaFactory })({
+      path: randomPath,
+      method: 'get',
+      request: { query: { limit: Match.Integer } },
+      run: () => ({ testId })
+    })
+
+    const checkResponse = await inject(checkRoute, { url: randomPath, query: { limit: 'all' } })
+    expect(checkResponse.statusCode).to.equal(400)
+    expect(checkResponse.json.info).to.match(/^Invalid query: Match error: Expected Integer/)
+  })
+
+  it('validates fields named like the parts or type by the request option only', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, body: true })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'get',
+      request: {
+        query: { type: String, limit: { type: SimpleSchema.Integer, optional: true } }
+      },
+      run: function () {
+        return this.data()
+      }
+    })
+
+    const response = await inject(route, { url: randomPath, query: { type: 'draft', limit: '3' } })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({ type: 'draft', limit: 3 })
+
+    const legacyRoute = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      schema: {
+        body: String,
+        query: { type: Object, blackbox: true }
+      },
+      run: function () {
+        return this.data()
+      }
+    })
+
+    const legacyResponse = await inject(legacyRoute, {
+      method: 'post',
+      url: randomPath,
+      body: { body: testId, query: { type: 'draft' } }
+    })
+    expect(legacyResponse.statusCode).to.equal(200)
+    expect(legacyResponse.json).to.deep.equal({ body: testId, query: { type: 'draft' } })
+  })
+
+  it('returns the cleaned query and body regardless of the method', async function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory, body: true })
+    const route = createHttpRoute({
+      path: randomPath,
+      method: 'post',
+      request: {
+        query: { limit: Number },
+        body: { title: String }
+      },
+      run: function () {
+        return { data: this.data(), query: this.query(), body: this.body() }
+      }
+    })
+
+    const response = await inject(route, {
+      method: 'post',
+      url: randomPath,
+      query: { limit: '5' },
+      body: { title: testId }
+    })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({
+      data: { title: testId },
+      query: { limit: 5 },
+      body: { title: testId }
+    })
+  })
+
+  it('documents the parts in the OpenAPI document', function () {
+    const createHttpRoute = createHTTPFactory({ schemaFactory })
+    createHttpRoute({
+      path: `${randomPath}/:docId`,
+      method: 'patch',
+      request: {
+        params: { docId: String },
+        query: { notify: { type: Boolean, optional: true } },
+        headers: { 'if-match': String },
+        body: { title: String }
+      },
+      run: () => null
+    })
+
+    const operation = createHttpRoute.openapi().paths[`${randomPath}/{docId}`].patch
+    expect(operation.parameters).to.deep.equal([
+      { name: 'docId', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'notify', in: 'query', required: false, schema: { type: 'boolean' } },
+      { name: 'if-match', in: 'header', required: true, schema: { type: 'string' } }
+    ])
+    expect(operation.requestBody.content['application/json'].schema).to.deep.equal({
+      type: 'object',
+      properties: { title: { type: 'string' } },
+      required: ['title']
+    })
+    expect(operation.responses['400']).to.deep.equal({ description: 'Bad Request' })
+  })
+})
+
+describe('route groups', function () {
+  let randomPath
+  let testId
+
+  beforeEach(function () {
+    randomPath = createRandomPath()
+    testId = Random.id()
+  })
+
+  const track = name => function (req, res, next) {
+    req.order = (req.order || []).concat(name)
+    next()
+  }
+
+  it('prefixes the paths and shares the options of the group', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    const api = createHttpRoute.group(randomPath, {
+      schemaFactory,
+      onError: e => errors.push(e.message),
+      middleware: [track('group')]
+    })
+
+    const route = api({
+      path: '/items',
+      method: 'get',
+      request: { query: { limit: Number } },
+      run: function (req) {
+        return { path: route.path, limit: this.data().limit, order: req.order }
+      }
+    })
+
+    const response = await inject(api, { url: `${randomPath}/items`, query: { limit: '5' } })
+    expect(response.statusCode).to.equal(200)
+    expect(response.json).to.deep.equal({ path: `${randomPath}/items`, limit: 5, order: ['group'] })
+
+    const invalid = await inject(api, { url: `${randomPath}/items`, query: { limit: 'all' } })
+    expect(invalid.statusCode).to.equal(400)
+    expect(errors.length).to.equal(1)
+  })
+
+  it('nests groups and runs their middleware before the route middleware', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const api = createHttpRoute.group(randomPath, { middleware: track('api') })
+    const admin = api.group('/admin/', { middleware: [track('admin')] })
+
+    admin({
+      path: 'users',
+      middleware: track('route'),
+      custom: track('custom'),
+      run: req => ({ order: req.order })
+    })
+    admin({
+      run: () => ({ testId })
+    })
+
+    const response = await inject(createHttpRoute, { url: `${randomPath}/admin/users` })
+    expect(response.json).to.deep.equal({ order: ['api', 'admin', 'route', 'custom'] })
+
+    const fallback = await inject(admin, { url: `${randomPath}/admin/unknown` })
+    expect(fallback.json).to.deep.equal({ testId })
+
+    expect(admin.routes().map(route => route.path)).to.deep.equal([`${randomPath}/admin/users`, `${randomPath}/admin`])
+    expect(api.routes()).to.deep.equal([])
+  })
+
+  it('allows routes to override the options of the group', async function () {
+    const createHttpRoute = createHTTPFactory()
+    const errors = []
+    const checkSchemaFactory = definitions => ({ validate: doc => check(doc, definitions) })
+
+    const v1 = createHttpRoute.group(`${randomPath}/v1`, {
+      schemaFactory,
+      onError: () => errors.push('group')
+    })
+    const v2 = createHttpRoute.group(`${randomPath}/v2`)
+
+    v1({
+      path: '/items',
+      schemaFactory: checkSchemaFactory,
+      schema: { name: String },
+      onError: () => errors.push('route'),
+      run: function () {
+        return { version: 1, name: this.data().name }
+      }
+    })
+    v2({
+      path: '/items',
+      run: () => ({ version: 2 })
+    })
+
+    const first = await inject(createHttpRoute, { url: `${randomPath}/v1/items`, query: { name: testId } })
+    expect(first.json).to.deep.equal({ version: 1, name: testId })
+
+    const second = await inject(createHttpRoute, { url: `${randomPath}/v2/items` })
+    expect(second.json).to.deep.equal({ version: 2 })
+
+    const invalid = await inject(v1, { url: `${randomPath}/v1/items` })
+    expect(invalid.statusCode).to.equal(400)
+    expect(errors).to.deep.equal(['route'])
+  })
+})
+
 describe('define middleware', function () {
   let randomPath
   let testId
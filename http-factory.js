@@ -1,172 +1,973 @@
 import { WebApp } from 'meteor/webapp'
+import { Meteor } from 'meteor/meteor'
 import { check, Match } from 'meteor/check'
-import { EJSON } from 'meteor/ejson'
+import { createBodyParser, parseQueryString } from './lib/body'
+import { createMultipartParser } from './lib/multipart'
+import { createResponseValidator, responseModes } from './lib/response'
+import { defaultSerializers, negotiate } from './lib/serializers'
+import { defaultErrorCodes, errorFormats, GatewayTimeoutError, isClientSafe, resolveError, statuses } from './lib/errors'
+import { resolveUser } from './lib/auth'
+import { createMemoryStore, createRateLimiter } from './lib/ratelimit'
+import { createCors, defaultCorsMethods } from './lib/cors'
+import { createOpenAPIDocument } from './lib/openapi'
+import { injectRequest } from './lib/inject'
+import { bindLogger, createConsoleLogger, createLog, getRequestId, trackResponse } from './lib/logger'
+import { createMetricsRegistry, createRouteMetrics, trackRequest } from './lib/metrics'
+import { createETag, formatETag, isCacheable, isFresh } from './lib/cache'
+import { isStreamable, sendStream, streamFormats } from './lib/stream'
+import { createEventStream } from './lib/sse'
+import { createAbortState } from './lib/abort'
+import { createRequestValidator, withInvalidPart } from './lib/request'
+import { isObject, isStatusCode, toObject } from './lib/utils'
+
+export {
+  HTTPError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  NotImplementedError,
+  ServiceUnavailableError,
+  GatewayTimeoutError
+} from './lib/errors'
 
 const isPreflight = req => req.method.toLowerCase() === 'options'
 const httpMethods = ['get', 'head', 'post', 'put', 'delete', 'options', 'trace', 'patch']
 const isMaybeHttpMethod = Match.Where(x => !x || httpMethods.includes(x))
+const isMaybeBodyOptions = Match.Maybe(Match.OneOf(Boolean, Object))
+const isMaybeResponseMode = Match.Maybe(Match.Where(x => responseModes.includes(x)))
+const isMaybeAuthOptions = Match.Maybe(Match.OneOf(Boolean, {
+  required: Match.Maybe(Boolean),
+  permission: Match.Maybe(Function)
+}))
+const isMaybeRateLimitOptions = Match.Maybe(Match.OneOf(false, {
+  limit: Match.Maybe(Match.Integer),
+  interval: Match.Maybe(Match.Integer),
+  key: Match.Maybe(Match.OneOf('ip', 'userId', Function)),
+  store: Match.Maybe(Match.ObjectIncluding({ increment: Function }))
+}))
+const isMaybeCorsOptions = Match.Maybe(Match.OneOf(Boolean, {
+  origin: Match.Maybe(Match.OneOf(String, [Match.OneOf(String, RegExp)], Function)),
+  methods: Match.Maybe([String]),
+  allowedHeaders: Match.Maybe([String]),
+  exposedHeaders: Match.Maybe([String]),
+  credentials: Match.Maybe(Boolean),
+  maxAge: Match.Maybe(Match.Integer)
+}))
+const isMaybeSseOptions = Match.Maybe(Match.OneOf(Boolean, {
+  heartbeat: Match.Maybe(Match.OneOf(Match.Where(x => Match.test(x, Match.Integer) && x > 0), false)),
+  retry: Match.Maybe(Match.Where(x => Match.test(x, Match.Integer) && x >= 0))
+}))
+const isMaybeOpenAPIOptions = Match.Maybe({
+  path: Match.Maybe(String),
+  info: Match.Maybe(Object),
+  servers: Match.Maybe([Object]),
+  toJSONSchema: Match.Maybe(Function)
+})
+const isMaybeLogger = Match.Maybe(Match.ObjectIncluding({
+  info: Function,
+  warn: Function,
+  error: Function
+}))
+const isMaybeMetricsOptions = Match.Maybe(Match.OneOf(Boolean, {
+  path: Match.Maybe(String),
+  prefix: Match.Maybe(String),
+  buckets: Match.Maybe([Number]),
+  registry: Match.Maybe(Match.ObjectIncluding({
+    counter: Function,
+    gauge: Function,
+    histogram: Function,
+    render: Function
+  }))
+}))
+const isMaybeRequestSchema = Match.Maybe({
+  params: Match.Maybe(Object),
+  query: Match.Maybe(Object),
+  headers: Match.Maybe(Object),
+  body: Match.Maybe(Object)
+})
+const isMaybeTimeout = Match.Maybe(Match.OneOf(Match.Where(x => Match.test(x, Match.Integer) && x > 0), false))
+const isGroupPrefix = Match.Where(x => typeof x === 'string' && x.startsWith('/'))
+const isMaybeMiddleware = Match.Maybe(Match.OneOf(Function, [Function]))
+const isGroupOptions = Match.ObjectIncluding({ middleware: isMaybeMiddleware })
+const isMaybeHttpMethods = Match.OneOf(isMaybeHttpMethod, [Match.Where(x => httpMethods.includes(x))])
+
+/**
+ * Ends the request with an error response.
+ * @param res the response
+ * @param error {Error?} the error, its message is used as info, if there is no info
+ * @param title {string} the title of the status
+ * @param description {string} the description of the error
+ * @param code {number} the status code, defaults to 500
+ * @param info {string?} optional information about this specific error
+ * @param details {any?} optional details, such as invalid fields
+ * @param options {object?} optional, the request (req), the error format
+ *  (format) and whether to hide messages of internal errors (hideInternal)
+ */
+function handleError (res, { error, title, description, code, info, details }, options = {}) {
+  const { req, format = errorFormats.default, hideInternal = false } = options
+  const status = code || 500
+  const hidden = hideInternal && status >= 500 && !isClientSafe(error)
+  const { type, body } = format({
+    status,
+    title,
+    description,
+    info: info || (!hidden && error && error.message) || undefined,
+    details: hidden ? undefined : details,
+    type: error && error.type
+  }, { req, error })
 
-function handleError (res, { error, title, description, code, info }) {
-  res.writeHead(code || 500, { 'Content-Type': 'application/json' })
-  const body = JSON.stringify({
-    title: title,
-    description: description,
-    info: info || (error && error.message)
-  }, null, 0)
-  res.end(body)
+  res.writeHead(status, { 'Content-Type': type })
+  res.end(typeof body === 'string' ? body : JSON.stringify(body, null, 0))
 }
 
-function registerHandler ({ app, path, method, handler }) {
-  // ensure the method exists
-  if (method && !Object.prototype.hasOwnProperty.call(app, method)) {
-    app.defineMethod(method)
+// all routes with a path, that have been registered by any factory,
+// used to determine, whether a path exists for other methods (405)
+const registeredRoutes = []
+
+// the id of each request, assigned by the first route, that matches the request
+const requestContexts = new WeakMap()
+
+// the registered handlers of factories and routes in order, used to
+// inject requests without an HTTP server
+const handlerChains = new WeakMap()
+
+/**
+ * Runs a request through the handlers of a factory or a single route
+ * (including the factory's global middleware), without an HTTP server.
+ * @param target {function|object} the factory or a route, created by a factory
+ * @param options {object?} the request, with method, url, query, body and headers
+ * @return {Promise<{statusCode: number, headers: object, body: string, json: any}>}
+ *  the response, json is undefined if the body is not valid JSON
+ */
+export const inject = (target, options) => {
+  const getHandlers = handlerChains.get(target)
+  if (!getHandlers) {
+    throw new Error('Expected a factory or a route to inject the request.')
   }
+  return injectRequest(getHandlers(), options)
+}
 
-  const args = []
-  if (path) args.push(path)
-  args.push(handler)
+/**
+ * Adds a handler to the connect stack of the app.
+ * @param app the connect app
+ * @param matcher {function?} optional, matches the path of the request
+ * @param methods {[string]?} optional, the methods the handler runs for
+ * @param handler {function} the connect handler
+ * @param errorOptions {object?} optional, used for 405 and 503 responses
+ * @param state {object?} optional, the state of the route, disabled or
+ *  removed routes don't run their handlers for the methods of the route
+ * @return {function} the handler on the stack, used to unregister it
+ */
+function registerHandler ({ app, matcher, methods = [], handler, errorOptions, state }) {
+  let methodHandler = handler
 
-  switch (method) {
-    case 'get':
-      return app.get(...args)
-    case 'head':
-      return app.head(...args)
-    case 'post':
-      return app.post(...args)
-    case 'put':
-      return app.put(...args)
-    case 'options':
-      return app.options(...args)
-    case 'trace':
-      return app.trace(...args)
-    case 'patch':
-      return app.patch(...args)
-    default:
-      return app.use(...args)
+  if (state) {
+    methodHandler = function (req, res, next) {
+      if (state.removed) return next()
+      if (state.disabled) {
+        // other methods of the path may belong to other routes
+        if (state.methods.length && !allowsMethod(state.methods, req.method.toLowerCase())) return next()
+        return handleDisabled(req, res, next, state, errorOptions)
+      }
+      return handler.call(this, req, res, next)
+    }
   }
+
+  if (methods.length) {
+    const onOtherMethod = matcher ? handleMethodNotAllowed : skip
+    const routeHandler = methodHandler
+    methodHandler = function (req, res, next) {
+      return allowsMethod(methods, req.method.toLowerCase())
+        ? routeHandler.call(this, req, res, next)
+        : onOtherMethod(req, res, next, errorOptions)
+    }
+  }
+
+  const registered = matcher ? matchPath(matcher, methodHandler) : methodHandler
+  app.use(registered)
+  return registered
+}
+
+// connect keeps its handlers in app.stack, express in its router
+const getStack = app => app.stack ||
+  (app._router && app._router.stack) ||
+  (app.router && app.router.stack) ||
+  []
+
+/**
+ * Removes a handler, that has been added by registerHandler, from the
+ * connect stack of the app.
+ */
+function unregisterHandler (app, registered) {
+  const stack = getStack(app)
+  const index = stack.findIndex(layer => layer.handle === registered)
+  if (index > -1) {
+    stack.splice(index, 1)
+  }
+}
+
+/**
+ * Disabled routes pass the request to the next handler or end it with a 503.
+ */
+function handleDisabled (req, res, next, state, errorOptions) {
+  if (state.fallthrough) return next()
+  return handleError(res, { code: 503, ...statuses[503] }, Object.assign({ req }, errorOptions))
 }
 
+const skip = (req, res, next) => next()
+
+// HEAD requests are answered like GET requests, without the body
+const allowsMethod = (methods, method) => methods.includes(method) ||
+  (method === 'head' && methods.includes('get'))
+
+const withHead = methods => methods.reduce((list, method) => list.concat(
+  method === 'get' && !methods.includes('head') ? ['get', 'head'] : method
+), [])
+
+/**
+ * Ends the request with a 405, if the requested path exists only for other
+ * methods. Passes on to the next handler, if any other registered route may
+ * handle the path with the requested method or if the path only matches
+ * routes by prefix (like app handlers below a route's path).
+ */
+const toMethodList = methods => methods.map(m => m.toUpperCase()).join(', ')
+
+function handleMethodNotAllowed (req, res, next, errorOptions) {
+  const method = req.method.toLowerCase()
+  if (method === 'options') return next()
+
+  const allowed = new Set()
+  for (const route of registeredRoutes) {
+    if (!route.matcher(req)) continue
+    if (!route.methods.length || allowsMethod(route.methods, method)) return next()
+    if (route.exactMatcher(req)) withHead(route.methods).forEach(m => allowed.add(m.toUpperCase()))
+  }
+
+  if (!allowed.size) return next()
+
+  res.setHeader('Allow', [...allowed].join(', '))
+  return handleError(res, {
+    code: 405,
+    title: 'Method Not Allowed',
+    description: `${req.method} is not allowed for this route.`
+  }, Object.assign({ req }, errorOptions))
+}
+
+/**
+ * Resolves the methods of all registered routes, that match the requested
+ * path, routes without a specific method allow the default methods.
+ * @return {[string]} the lowercase method names
+ */
+function getAllowedMethods (req) {
+  const allowed = new Set()
+  for (const route of registeredRoutes) {
+    if (!route.matcher(req)) continue
+    const methods = route.methods.length ? withHead(route.methods) : defaultCorsMethods
+    methods.forEach(m => allowed.add(m))
+  }
+  return allowed.size ? [...allowed] : defaultCorsMethods
+}
+
+/**
+ * Compiles a route path, that may contain named parameters (like
+ * `/users/:userId`), into a function that matches a request's url against it.
+ * @param path {string} the route path
+ * @param exact {boolean?} optional, if true the whole url path has to match,
+ *  otherwise it is matched as prefix, the same way connect does
+ * @return {function(req):(object|null)} returns the extracted params or null,
+ *  if the url did not match
+ */
+function compilePath (path, exact) {
+  const keys = []
+  const source = path
+    .replace(/\/+$/, '')
+    .replace(/:(\w+)|[.*+?^${}()|[\]\\]/g, (token, key) => {
+      if (!key) return `\\${token}`
+      keys.push(key)
+      return '([^/]+?)'
+    })
+  const end = exact ? '\\/?$' : '(?:\\/.*)?$'
+  const regExp = new RegExp(`^${source}${end}`, 'i')
+
+  return function (req) {
+    const match = regExp.exec(req.url.split('?')[0])
+    if (!match) return null
+
+    const params = {}
+    keys.forEach((key, index) => {
+      params[key] = decodeParam(match[index + 1])
+    })
+    return params
+  }
+}
+
+function decodeParam (value) {
+  try {
+    return decodeURIComponent(value)
+  } catch (e) {
+    return value
+  }
+}
+
+const matchPath = (matcher, handler) => function (req, res, next) {
+  const params = matcher(req)
+  if (!params) return next()
+
+  req.params = params
+  return handler.call(this, req, res, next)
+}
+
+// raw connect handlers run before Meteor parses the query string,
+// so routes on raw handlers need to parse it on their own
+function ensureQuery (req) {
+  if (req.query) return
+  req.query = parseQueryString(req.url.split('?')[1])
+}
+
+// routes without path match the whole prefix of their group
+const joinPath = (prefix, path) => {
+  const base = prefix.replace(/\/+$/, '')
+  if (!path || path === '/') return base || '/'
+  return `${base}${path.startsWith('/') ? '' : '/'}${path}`
+}
+
+// options of groups, that extend the ones of their parent group, like the
+// route options extend the factory's options
+const extendedGroupOptions = ['auth', 'rateLimit', 'cors']
+
+const mergeGroupOptions = (defaults, options) => {
+  const merged = Object.assign({}, defaults, options)
+  extendedGroupOptions.forEach(name => {
+    if (isObject(defaults[name]) && isObject(options[name])) {
+      merged[name] = Object.assign({}, defaults[name], options[name])
+    }
+  })
+  merged.middleware = [].concat(defaults.middleware || [], options.middleware || [])
+  return merged
+}
+
+const removeEntry = (list, entry) => {
+  const index = list.indexOf(entry)
+  if (index > -1) {
+    list.splice(index, 1)
+  }
+}
+
+// bodies can also be parsed as text (or not parsed at all),
+// which is why we only merge object bodies into the params
+const getBody = req => isObject(req.body) ? req.body : {}
+
 function getRequestParams (req) {
   switch (req.method.toLowerCase()) {
     case 'post':
     case 'put':
     case 'patch':
-      return Object.assign({}, req.body)
+      return Object.assign({}, getBody(req), req.params)
     case 'get':
-      return Object.assign({}, req.query)
+      return Object.assign({}, req.query, req.params)
     default:
-      return Object.assign({}, req.query, req.body)
+      return Object.assign({}, req.query, getBody(req), req.params)
   }
 }
 
 function addRequestParams (req, obj) {
+  if (typeof req.body === 'undefined') {
+    req.body = {}
+  }
+
   switch (req.method.toLowerCase()) {
     case 'post':
     case 'put':
     case 'patch':
-      return Object.assign(req.body, obj)
+      Object.assign(getBody(req), obj)
+      break
     case 'get':
-      return Object.assign(req.query, obj)
+      Object.assign(req.query, obj)
+      break
     default:
       Object.assign(req.query, obj)
-      Object.assign(req.body, obj)
-      return Object.assign({}, req.query, req.body)
+      Object.assign(getBody(req), obj)
   }
+
+  // non-object bodies can't be updated, so we at least
+  // return the new values for the current handler
+  return Object.assign(getRequestParams(req), isObject(req.body) ? {} : obj)
+}
+
+const getBodyParser = options => {
+  if (!options) return
+  return createBodyParser(options === true
+    ? { json: true, urlencoded: true }
+    : options)
+}
+
+const getMultipartParser = options => {
+  if (!options) return
+  return createMultipartParser(options === true ? {} : options)
+}
+
+const getAuthOptions = (factoryAuth, routeAuth) => {
+  if (routeAuth === false || (!factoryAuth && !routeAuth)) return
+  return Object.assign({}, toObject(factoryAuth), toObject(routeAuth))
+}
+
+const getRateLimiter = (factoryLimit, routeLimit, prefix) => {
+  if (routeLimit === false || (!factoryLimit && !routeLimit)) return
+  const options = Object.assign({ prefix }, factoryLimit, routeLimit)
+  check(options.limit, Match.Integer)
+  check(options.interval, Match.Integer)
+  return createRateLimiter(options)
+}
+
+const getCors = (factoryCors, routeCors) => {
+  if (routeCors === false || (!factoryCors && !routeCors)) return
+  return createCors(Object.assign({}, toObject(factoryCors), toObject(routeCors)))
+}
+
+// client errors are logged as warnings, server errors as errors
+const logFailure = (logger, { error, code, title }) => {
+  const statusCode = code || 500
+  const level = statusCode >= 500 ? 'error' : 'warn'
+  bindLogger(logger, { statusCode, err: error })[level](title || 'Request failed')
+}
+
+const setRateLimitHeaders = (res, { limit, remaining, reset }) => {
+  res.setHeader('RateLimit-Limit', limit)
+  res.setHeader('RateLimit-Remaining', remaining)
+  res.setHeader('RateLimit-Reset', reset)
+}
+
+const defaultProduces = ['json', 'ejson']
+
+const getRawType = result => typeof result === 'string'
+  ? 'text/plain; charset=utf-8'
+  : 'application/octet-stream'
+
+// a content type, set by this.header, takes precedence
+const getContentType = (res, type) => res.getHeader('Content-Type')
+  ? {}
+  : { 'Content-Type': type }
+
+const redirectCodes = [301, 302, 303, 307, 308]
+const emptyStatusCodes = [204, 304]
+
+const bodyErrors = {
+  400: { title: 'Bad Request', description: 'Malformed body.' },
+  413: { title: 'Payload Too Large', description: 'The body exceeds the size limit.' },
+  415: { title: 'Unsupported Media Type', description: 'The file type is not supported.' },
+  500: { title: 'Internal Server Error', description: 'An unintended error occurred.' }
 }
 
+const getApp = isRaw => isRaw
+  ? WebApp.rawConnectHandlers
+  : WebApp.connectHandlers
+
 /**
  * Creates a new factory for HTTP routes with global settings
  * @param schemaFactory {function?} optional function to validate arguments by schema
  * @param onError {function?} optional global error handler for any route errors
  * @param isRaw {boolean?} optional, attach on raw connect handlers if true
+ * @param body {boolean|object?} optional, parse request bodies by content type,
+ *  either true or an object of json, urlencoded or text parser options
+ * @param multipart {boolean|object?} optional, parse multipart/form-data bodies
+ *  and receive uploaded files, either true or an object of multipart options
+ * @param response {object?} optional, defaults for response validation, such as
+ *  the mode, one of 'reject', 'strip' or 'log'
+ * @param serializers {object?} optional, custom serializers by name, each with
+ *  a type and a serialize function
+ * @param produces {[string]?} optional, names of the serializers all routes
+ *  can produce, ordered by preference, defaults to ['json', 'ejson']
+ * @param errorCodes {object?} optional mapping of Meteor.Error codes to status
+ *  codes, extends the default mapping
+ * @param errorFormat {string|function?} optional, format of error responses,
+ *  one of 'default' or 'problem' (RFC 7807) or a custom format function
+ * @param hideInternalErrors {boolean?} optional, hides the messages of internal
+ *  errors in 5xx responses, defaults to true in production
+ * @param auth {boolean|object?} optional, resolves users by Meteor login tokens,
+ *  either true or an object with required and permission options
+ * @param rateLimit {object?} optional, limits the requests per client and route,
+ *  an object with limit, interval (ms), key and store options
+ * @param cors {boolean|object?} optional, answers CORS preflights and adds CORS
+ *  headers to responses, either true or an object of CORS options
+ * @param openapi {object?} optional, options of the OpenAPI document, like info,
+ *  servers, a schema converter and the path to serve the document on
+ * @param logger {object?} optional, a logger with debug, info, warn and error
+ *  methods (like pino or winston), logs failed requests and an access log
+ * @param accessLog {boolean?} optional, logs a line per request, if a logger
+ *  is defined, defaults to true
+ * @param metrics {boolean|object?} optional, collects request metrics, either
+ *  true or an object with path, prefix, buckets and registry options
+ * @param etag {boolean?} optional, sends ETags of the serialized results and
+ *  answers conditional GET requests with 304
+ * @param cacheControl {string?} optional, the Cache-Control header of
+ *  successful GET and HEAD responses
+ * @param timeout {number?} optional, time in ms, after which requests are
+ *  answered with 504 and the signal of the environment is aborted
  * @param globalMiddleware {any} optional global mixins of custom middleware functions
- * @return {function({path?: *, schema?: *, method?: *, run?: *, validate?: *, onError?: *, middleware?: *}): handler}
- *  a factory-method to create all routes by given configs
+ * @return {function({path?: *, schema?: *, method?: *, run?: *, validate?: *, onError?: *, middleware?: *}): object}
+ *  a factory-method to create all routes by given configs, returns the route
  */
-export const createHTTPFactory = ({ schemaFactory, onError, isRaw, ...globalMiddleware } = {}) => {
+export const createHTTPFactory = ({ schemaFactory, onError, isRaw, body, multipart, response = {}, serializers = {}, produces = defaultProduces, errorCodes = {}, errorFormat = 'default', hideInternalErrors = Meteor.isProduction, auth, rateLimit, cors, openapi, logger, accessLog = true, metrics, etag = false, cacheControl, timeout, ...globalMiddleware } = {}) => {
   check(schemaFactory, Match.Maybe(Function))
   check(onError, Match.Maybe(Function))
   check(isRaw, Match.Maybe(Boolean))
+  check(body, isMaybeBodyOptions)
+  check(multipart, isMaybeBodyOptions)
+  check(response, { mode: isMaybeResponseMode })
+  check(serializers, Match.ObjectIncluding({}))
+  check(produces, [String])
+
+  const allSerializers = Object.assign({}, defaultSerializers, serializers)
+
+  check(errorCodes, Object)
+  Object.values(errorCodes).forEach(code => check(code, Match.Integer))
+  const allErrorCodes = Object.assign({}, defaultErrorCodes, errorCodes)
+
+  check(errorFormat, Match.OneOf(Function, Match.Where(x => Object.keys(errorFormats).includes(x))))
+  check(hideInternalErrors, Boolean)
+  check(auth, isMaybeAuthOptions)
+  check(rateLimit, isMaybeRateLimitOptions)
+  check(cors, isMaybeCorsOptions)
+  check(openapi, isMaybeOpenAPIOptions)
+  check(logger, isMaybeLogger)
+  check(accessLog, Boolean)
+  check(metrics, isMaybeMetricsOptions)
+  check(etag, Boolean)
+  check(cacheControl, Match.Maybe(String))
+  check(timeout, isMaybeTimeout)
+
+  // factories can share a registry to expose their metrics together
+  const metricsOptions = metrics === true ? {} : metrics
+  const metricsRegistry = metricsOptions &&
+    (metricsOptions.registry || createMetricsRegistry({ prefix: metricsOptions.prefix }))
+  const routeMetrics = metricsRegistry && createRouteMetrics(metricsRegistry, metricsOptions.buckets)
+
+  // routes share the factory's store, unless they define their own
+  const rateLimitOptions = rateLimit && Object.assign({ store: createMemoryStore() }, rateLimit)
+
+  const errorOptions = {
+    format: typeof errorFormat === 'function' ? errorFormat : errorFormats[errorFormat],
+    hideInternal: hideInternalErrors
+  }
+  Object.values(serializers).forEach(serializer => {
+    check(serializer, Match.ObjectIncluding({ type: String, serialize: Function }))
+  })
 
-  const isRequiredSchema = schemaFactory ? Object : Match.Maybe(Object)
-  const app = isRaw ? WebApp.rawConnectHandlers : WebApp.connectHandlers
+  const app = getApp(isRaw)
   const globalErrorHook = onError || (() => {})
 
+  // all routes of this factory and their documentation for the OpenAPI document
+  const factoryRoutes = []
+  const documentedRoutes = []
+
+  // global middleware and the document handler, that run before all routes
+  const factoryHandlers = []
+  const routeHandlersOf = new WeakMap()
+
   Object.values(globalMiddleware).forEach(gmw => {
     check(gmw, Function)
-    registerHandler({ app, handler: gmw })
+    factoryHandlers.push(registerHandler({ app, handler: gmw }))
   })
 
   /**
    *
    * @param path
+   * @param raw
+   * @param exact
+   * @param body
+   * @param multipart
+   * @param routeSchemaFactory
    * @param schema
+   * @param requestSchema
+   * @param responseSchema
+   * @param routeProduces
+   * @param routeAuth
+   * @param routeRateLimit
+   * @param routeCors
+   * @param routeEtag
+   * @param routeCacheControl
+   * @param stream
+   * @param sse
+   * @param routeTimeout
+   * @param summary
+   * @param description
+   * @param tags
    * @param method
    * @param run
    * @param validate
    * @param onError
+   * @param middlewareList
    * @param middleware
-   * @return {handler}
+   * @return {object} the route
    */
-  const routeHandler = ({ path, schema = {}, method = '', run, validate, onError, ...middleware }) => {
+  const routeHandler = ({ path, raw, exact, body: routeBody, multipart: routeMultipart, schemaFactory: routeSchemaFactory = schemaFactory, schema = {}, request: requestSchema, response: responseSchema, produces: routeProduces = produces, auth: routeAuth, rateLimit: routeRateLimit, cors: routeCors, etag: routeEtag = etag, cacheControl: routeCacheControl = cacheControl, stream, sse, timeout: routeTimeout = timeout, summary, description, tags, method = '', run, validate, onError, middleware: middlewareList, ...middleware }) => {
     check(path, Match.Maybe(String))
-    check(schema, isRequiredSchema)
-    check(method, isMaybeHttpMethod)
+    check(raw, Match.Maybe(Boolean))
+    check(exact, Match.Maybe(Boolean))
+    check(routeBody, isMaybeBodyOptions)
+    check(routeMultipart, isMaybeBodyOptions)
+    check(routeSchemaFactory, Match.Maybe(Function))
+    check(schema, routeSchemaFactory ? Object : Match.Maybe(Object))
+    check(requestSchema, isMaybeRequestSchema)
+    check(responseSchema, Match.Maybe({ schema: Object, mode: isMaybeResponseMode }))
+    check(routeProduces, [String])
+    check(routeAuth, isMaybeAuthOptions)
+    check(routeRateLimit, isMaybeRateLimitOptions)
+    check(routeCors, isMaybeCorsOptions)
+    check(routeEtag, Boolean)
+    check(routeCacheControl, Match.Maybe(Match.OneOf(String, false)))
+    check(stream, Match.Maybe(Match.Where(x => streamFormats.includes(x))))
+    check(sse, isMaybeSseOptions)
+    check(routeTimeout, isMaybeTimeout)
+    check(summary, Match.Maybe(String))
+    check(description, Match.Maybe(String))
+    check(tags, Match.Maybe([String]))
+    check(method, isMaybeHttpMethods)
     check(validate, Match.Maybe(Function))
     check(onError, Match.Maybe(Function))
+    check(middlewareList, isMaybeMiddleware)
     check(run, Function)
 
+    // routes can override, whether they run on raw connect handlers
+    const routeApp = typeof raw === 'boolean'
+      ? getApp(raw)
+      : app
     const localErrorHook = onError || globalErrorHook
     const errorHook = async e => localErrorHook(e, method, path)
 
-    Object.values(middleware).forEach(mw => {
+    // the path is matched by the factory, instead of connect, so we can
+    // support named params (like /users/:userId) and exact matching
+    const matcher = path && compilePath(path, exact)
+    const methods = [].concat(method || [])
+    const registeredRoute = matcher && { matcher, exactMatcher: compilePath(path, true), methods }
+
+    if (registeredRoute) {
+      registeredRoutes.push(registeredRoute)
+    }
+
+    // all handlers of this route share the state and are tracked,
+    // so they can be disabled or removed together
+    const state = { disabled: false, fallthrough: false, removed: false, methods }
+    const routeHandlers = []
+    const register = options => routeHandlers.push(registerHandler(Object.assign({ app: routeApp, matcher, state, errorOptions }, options)))
+
+    // the first matching route assigns the request id and starts the access log,
+    // requests with other methods are left to other routes or handlers
+    register({
+      handler: function (req, res, next) {
+        if (methods.length && !allowsMethod(methods, req.method.toLowerCase())) return next()
+        if (!requestContexts.has(req) && !res.headersSent) {
+          const requestId = getRequestId(req)
+          requestContexts.set(req, { requestId })
+          res.setHeader('X-Request-Id', requestId)
+
+          if (logger && accessLog) {
+            trackResponse(res, ({ statusCode, duration, size }) => {
+              const url = req.originalUrl || req.url
+              bindLogger(logger, { requestId, method: req.method, url, statusCode, duration, size })
+                .info('Request completed')
+            })
+          }
+        }
+
+        next()
+      }
+    })
+
+    // OPTIONS requests and CORS are handled before any route middleware,
+    // unless the route handles OPTIONS requests on its own
+    const corsHandler = getCors(cors, routeCors)
+    const handlesOptions = (matcher || !methods.length) && !methods.includes('options')
+
+    if (corsHandler || handlesOptions) {
+      const optionsHandler = async function (req, res, next) {
+        const requestMethod = req.method.toLowerCase()
+
+        try {
+          if (handlesOptions && isPreflight(req)) {
+            const allowedMethods = getAllowedMethods(req)
+            if (corsHandler && req.headers['access-control-request-method']) {
+              return await corsHandler.preflight(req, res, allowedMethods)
+            }
+
+            res.writeHead(204, { Allow: toMethodList(allowedMethods.concat('options')) })
+            return res.end()
+          }
+
+          if (corsHandler && (!methods.length || allowsMethod(methods, requestMethod))) {
+            await corsHandler.decorate(req, res)
+          }
+        } catch (corsError) {
+          errorHook(corsError)
+          return handleError(res, { error: corsError, code: 500, ...statuses[500] }, Object.assign({ req }, errorOptions))
+        }
+
+        next()
+      }
+
+      register({ handler: optionsHandler })
+    }
+
+    // the list of middleware (like the middleware of groups) runs first
+    [].concat(middlewareList || [], Object.values(middleware)).forEach(mw => {
       check(mw, Function)
-      registerHandler({ app, path, method, handler: mw })
+      register({ methods, handler: mw })
     })
 
-    // enable to run validation on the request parameters (query or body)
+    // routes can override or disable the factory's body parsing
+    const bodyParsers = [
+      getBodyParser(typeof routeBody === 'undefined' ? body : routeBody),
+      getMultipartParser(typeof routeMultipart === 'undefined' ? multipart : routeMultipart)
+    ].filter(Boolean)
 
+    // enable to run validation on the request parameters (query or body),
+    // routes with request schemas only validate the merged params, if they
+    // also define a schema
     let validateFn = validate || (() => {})
-    if (!validate && schemaFactory) {
-      const validationSchema = schemaFactory(schema)
+    if (!validate && routeSchemaFactory && (!requestSchema || Object.keys(schema).length > 0)) {
+      const validationSchema = routeSchemaFactory(schema)
       validateFn = function (document = {}) {
-        validationSchema.validate(document)
+        return validationSchema.validate(document)
       }
     }
 
-    const handler = function (req, res, next) {
-      // end the request here, if it's a preflight
-      if (isPreflight(req)) {
-        res.writeHead(200)
-        return res.end()
+    // request schemas are split into params, query, headers and body,
+    // which are validated and coerced on their own
+    let validateRequest
+    if (requestSchema) {
+      if (!routeSchemaFactory) {
+        throw new Error('A schemaFactory is required to validate requests.')
+      }
+      validateRequest = createRequestValidator({ schemaFactory: routeSchemaFactory, schema: requestSchema })
+    }
+
+    // routes can extend or disable the factory's auth options
+    const authOptions = getAuthOptions(auth, routeAuth)
+
+    // requests are counted per route, routes can override or disable the limits
+    const rateLimiter = getRateLimiter(rateLimitOptions, routeRateLimit, `${methods.join(',')} ${path || '*'}`)
+
+    // the serializers are negotiated by the Accept header
+    const routeSerializers = routeProduces.map(name => {
+      if (!allSerializers[name]) {
+        throw new Error(`Unknown serializer: ${name}`)
+      }
+      return allSerializers[name]
+    })
+
+    // event stream routes keep the connection open and send events
+    const sseOptions = sse && (isObject(sse) ? sse : {})
+
+    // enable to validate the result of run before it is sent
+    let validateResponse
+    if (responseSchema) {
+      if (!routeSchemaFactory) {
+        throw new Error('A schemaFactory is required to validate responses.')
+      }
+
+      validateResponse = createResponseValidator({
+        schemaFactory: routeSchemaFactory,
+        schema: responseSchema.schema,
+        mode: responseSchema.mode || response.mode
+      })
+    }
+
+    // the handler is async in order to support async run and validate
+    // functions, connect itself ignores the returned Promise, so we need to
+    // ensure, that any error is caught within the handler
+    const handler = async function (req, res, next) {
+      const pathName = `[${method} ${path}]:`
+      const { requestId } = requestContexts.get(req) || {}
+      const requestLogger = bindLogger(logger || createConsoleLogger(pathName), { requestId, method: req.method, path })
+      const metricLabels = { route: path || '*', method: req.method }
+      if (routeMetrics) {
+        trackRequest(res, routeMetrics, metricLabels)
+      }
+
+      // the request is aborted, once it times out or the client disconnects,
+      // so run can stop early by the signal
+      const abortState = createAbortState()
+      res.once('close', () => {
+        if (!res.writableFinished) abortState.abort(new Error('The client has disconnected.'))
+      })
+
+      // errors can't be sent anymore, once the request is timed out or the
+      // client has disconnected
+      const sendError = options => {
+        if (abortState.aborted) return
+        if (logger) {
+          logFailure(requestLogger, options)
+        }
+        return handleError(res, options, Object.assign({ req }, errorOptions))
+      }
+
+      let timer
+      const clearTimer = () => clearTimeout(timer)
+      if (routeTimeout) {
+        timer = setTimeout(() => {
+          if (res.headersSent) return
+          const timeoutError = new GatewayTimeoutError(`The request has not been answered within ${routeTimeout}ms.`)
+          errorHook(timeoutError)
+          sendError({
+            error: timeoutError,
+            ...resolveError(timeoutError, { errorCodes: allErrorCodes, status: 504 })
+          })
+          abortState.abort(timeoutError)
+        }, routeTimeout)
+        res.once('close', clearTimer)
+      }
+
+      // then we resolve the user by login token, if auth is enabled
+      let user
+      if (authOptions) {
+        try {
+          user = await resolveUser(req)
+        } catch (authError) {
+          errorHook(authError)
+          return sendError({ error: authError, code: 500, ...statuses[500] })
+        }
+      }
+
+      // then we count the request, which requires the user for userId keys,
+      // unauthenticated requests are counted as well
+      if (rateLimiter) {
+        let limits
+        try {
+          limits = await rateLimiter(req, { userId: user ? user._id : null })
+        } catch (limitError) {
+          errorHook(limitError)
+          return sendError({ error: limitError, code: 500, ...statuses[500] })
+        }
+
+        setRateLimitHeaders(res, limits)
+
+        if (limits.exceeded) {
+          errorHook(new Error('Rate limit exceeded'))
+          res.setHeader('Retry-After', limits.reset)
+          return sendError({ code: 429, ...statuses[429] })
+        }
+      }
+
+      // then we reject unauthenticated requests, if auth is required
+      if (authOptions && !user && (authOptions.required || authOptions.permission)) {
+        errorHook(new Error('Authentication required'))
+        res.setHeader('WWW-Authenticate', 'Bearer')
+        return sendError({ code: 401, ...statuses[401] })
+      }
+
+      // then we parse the body, if body parsing is enabled
+      if (bodyParsers.length) {
+        try {
+          for (const parseBody of bodyParsers) {
+            await parseBody(req, res)
+          }
+        } catch (bodyError) {
+          // clients, that disconnect while sending the body, are no errors
+          if (bodyError.aborted) return abortState.abort(bodyError)
+          errorHook(bodyError)
+
+          return sendError({
+            error: bodyError,
+            code: bodyError.status,
+            ...bodyErrors[bodyError.status]
+          })
+        }
       }
 
       // then we validate the query / body or end
       let requestParams
+      let requestParts = {}
       try {
+        ensureQuery(req)
+        if (validateRequest) {
+          requestParts = await validateRequest(req)
+        }
         requestParams = getRequestParams(req)
-        validateFn(requestParams || {})
+        await validateFn(requestParams || {})
       } catch (validationError) {
         errorHook(validationError)
+        if (routeMetrics) {
+          routeMetrics.validationFailures.inc(metricLabels)
+        }
 
-        return handleError(res, {
+        return sendError({
           error: validationError,
-          code: 400,
-          title: 'Bad Request',
-          description: 'Malformed query or body.'
+          ...withInvalidPart(resolveError(validationError, { errorCodes: allErrorCodes, status: 400 }), validationError)
         })
       }
 
-      // then we run the context
+      // then we check the permissions of the user, which can be based on the data
+      if (authOptions && authOptions.permission) {
+        let permitted
+        try {
+          permitted = await authOptions.permission(user, { data: requestParams, req })
+        } catch (permissionError) {
+          errorHook(permissionError)
+          return sendError({
+            error: permissionError,
+            ...resolveError(permissionError, { errorCodes: allErrorCodes, status: 500 })
+          })
+        }
+
+        if (!permitted) {
+          errorHook(new Error('Permission denied'))
+          return sendError({ code: 403, ...statuses[403] })
+        }
+      }
+
+      // then we run the context, unless the request has been aborted meanwhile
+      if (abortState.aborted) return
+
       let result
+      let statusCode = 200
+      let redirected = false
       let nextCalled = false
       const nextWrapper = () => {
         nextCalled = true
+        clearTimer()
         next()
       }
 
-      const pathName = `[${method} ${path}]:`
       const environment = {
+        /**
+         * the id of the request, from the X-Request-Id header or generated
+         */
+        requestId,
+
+        /**
+         * an AbortSignal, that aborts once the request times out or the
+         * client disconnects, can be passed to fetch or checked in loops,
+         * undefined if the runtime has no AbortController (Node 14)
+         */
+        signal: abortState.signal,
+
+        /**
+         * the factory's metrics registry to record custom metrics, if
+         * metrics are enabled
+         */
+        metrics: metricsRegistry || undefined,
+
+        /**
+         * the id of the authenticated user, if auth is enabled, otherwise null
+         */
+        userId: user ? user._id : null,
+
+        /**
+         * Returns the authenticated user
+         * @return {object|undefined} the user document without services
+         */
+        user: () => {
+          if (!user) return
+          const { services, ...userDoc } = user
+          return userDoc
+        },
+
         /**
          * resume the route with error code, logging is off by default
          * @param error
@@ -178,7 +979,7 @@ export const createHTTPFactory = ({ schemaFactory, onError, isRaw, ...globalMidd
          */
         error: ({ error, code, title, description, info }) => {
           errorHook(error)
-          handleError(res, { error, code, title, description, info })
+          sendError({ error, code, title, description, info })
         },
 
         /**
@@ -194,51 +995,453 @@ export const createHTTPFactory = ({ schemaFactory, onError, isRaw, ...globalMidd
           }
           return requestParams
         },
+
         /**
-         * Logs args to to the console
-         * @param logArgs
+         * Returns the named params, extracted from the request path
+         * @return {object} the current path params of the request
          */
-        log: (...logArgs) => {
-          logArgs.unshift(pathName) && console.log.apply(console, logArgs)
+        params: () => {
+          return Object.assign({}, req.params)
+        },
+
+        /**
+         * Returns the query of the request, regardless of the method
+         * @return {object} the current query of the request
+         */
+        query: () => {
+          return Object.assign({}, req.query)
+        },
+
+        /**
+         * Returns the parsed body of the request, regardless of the method
+         * @return {object|string|undefined} the current body of the request
+         */
+        body: () => {
+          return isObject(req.body) ? Object.assign({}, req.body) : req.body
+        },
+
+        /**
+         * Returns the request headers, or only the validated (coerced)
+         * headers, if the schema has a headers part
+         * @return {object} the headers of the request
+         */
+        headers: () => {
+          return Object.assign({}, requestParts.headers || req.headers)
+        },
+
+        /**
+         * Returns the metadata of the uploaded files, if multipart is enabled
+         * @return {[object]} the files with fieldName, name, encoding,
+         *  mimeType, size and path (if not written to a custom sink)
+         */
+        files: () => {
+          return (req.files || []).map(file => Object.assign({}, file))
+        },
+
+        /**
+         * Logs args with the factory's logger or to the console, on info
+         * level or via log.debug, log.info, log.warn and log.error
+         */
+        log: createLog(requestLogger),
+
+        /**
+         * Sets the status code for the response, that is created from the
+         * result of run
+         * @param code {number} the status code
+         * @return {object} the environment for chaining
+         */
+        status: (code) => {
+          check(code, Match.Where(isStatusCode))
+          statusCode = code
+          return environment
+        },
+
+        /**
+         * Sets a response header, also applies to error responses
+         * @param name {string} the header name
+         * @param value {string|number|[string]} the header value
+         * @return {object} the environment for chaining
+         */
+        header: (name, value) => {
+          check(name, String)
+          check(value, Match.OneOf(String, Number, [String]))
+          res.setHeader(name, value)
+          return environment
+        },
+
+        /**
+         * Redirects to the given url, once run has returned
+         * @param url {string} the url to redirect to
+         * @param code {number} optional redirect status code, defaults to 302
+         */
+        redirect: (url, code = 302) => {
+          check(url, String)
+          check(code, Match.Where(x => redirectCodes.includes(x)))
+          res.setHeader('Location', url)
+          statusCode = code
+          redirected = true
+        },
+
+        /**
+         * Sets the ETag of the response by a version key, instead of
+         * computing it from the serialized result
+         * @param value {string|number} the version key
+         * @return {boolean} true, if the client's cached version is fresh,
+         *  the response is then sent as 304, regardless of the result
+         */
+        etag: (value) => {
+          check(value, Match.OneOf(String, Number))
+          res.setHeader('ETag', formatETag(value))
+          return isFresh(req, res)
+        },
+
+        /**
+         * Sets the Last-Modified header of the response
+         * @param date {Date} the date of the last modification
+         * @return {boolean} true, if the client's cached version is fresh,
+         *  the response is then sent as 304, regardless of the result
+         */
+        lastModified: (date) => {
+          check(date, Date)
+          res.setHeader('Last-Modified', date.toUTCString())
+          return isFresh(req, res)
         }
       }
 
+      // event stream routes can send events during and after run
+      const eventStream = sseOptions && createEventStream(Object.assign({ req, res }, sseOptions))
+      if (eventStream) {
+        Object.assign(environment, {
+          lastEventId: eventStream.lastEventId,
+          send: eventStream.send,
+          onClose: eventStream.onClose,
+          close: eventStream.close
+        })
+      }
+
+      // errors of event streams, that have already been started, can only
+      // close the stream
+      const sendRunError = error => {
+        errorHook(error)
+
+        if (eventStream) {
+          const { started } = eventStream
+          eventStream.close()
+          if (started) return
+        }
+
+        return sendError({
+          error,
+          ...resolveError(error, { errorCodes: allErrorCodes, status: 500 })
+        })
+      }
+
+      // successful GET and HEAD responses can be cached by the client
+      const sendResult = (headers, body) => {
+        if (isCacheable(req, statusCode)) {
+          if (routeCacheControl && !res.getHeader('Cache-Control')) {
+            res.setHeader('Cache-Control', routeCacheControl)
+          }
+          if (routeEtag && !res.getHeader('ETag')) {
+            res.setHeader('ETag', createETag(body))
+          }
+          if (isFresh(req, res)) {
+            const { 'Content-Type': contentType, ...notModifiedHeaders } = headers
+            res.writeHead(304, notModifiedHeaders)
+            return res.end()
+          }
+        }
+
+        res.writeHead(statusCode, headers)
+        return res.end(body)
+      }
+
       try {
-        result = run.call(environment, req, res, nextWrapper)
+        result = await run.call(environment, req, res, nextWrapper)
       } catch (invocationError) {
-        errorHook(invocationError)
+        // errors after a timeout or disconnect are discarded
+        if (abortState.aborted) return
+        return sendRunError(invocationError)
+      }
 
-        return handleError(res, {
-          error: invocationError,
-          code: 500,
-          title: 'Internal Server Error',
-          description: 'An unintended error occurred.'
-        })
+      // event streams stay open until the client or the route closes them,
+      // unless run has passed on, responded on its own or has no content
+      if (eventStream) {
+        const skipsStream = !eventStream.started &&
+          (nextCalled || res.headersSent || redirected || emptyStatusCodes.includes(statusCode))
+
+        if (!skipsStream) {
+          try {
+            return await eventStream.open(result)
+          } catch (openError) {
+            return sendRunError(openError)
+          }
+        }
+
+        eventStream.close()
       }
 
+      // results after a timeout or disconnect are discarded
+      if (abortState.aborted) return
+
       // at this point we may skip, because the user has already written the request
       // inside the run method on their own behalf
-      if (nextCalled || res._headerSent) return
+      if (nextCalled || res.headersSent) return
 
-      // if the function has no return value,
+      // redirects and responses without content ignore the result
+      if (redirected || emptyStatusCodes.includes(statusCode)) {
+        res.writeHead(statusCode)
+        return res.end()
+      }
+
+      // if the function has no return value (or resolves to undefined),
       // we assume to pass on to the next handler
       // this can be skipped if the result would be
       // explicit, such as null, [], {}, etc.
-      if (typeof result === 'undefined') return next()
+      if (typeof result === 'undefined') {
+        clearTimer()
+        return next()
+      }
+
+      // streams, async iterators and cursors are written with backpressure,
+      // errors after the response has started can only abort the response
+      if (isStreamable(result)) {
+        return sendStream({
+          res,
+          result,
+          format: stream,
+          statusCode,
+          headers: type => getContentType(res, type),
+          abortState,
+          onError: (streamError, started) => {
+            errorHook(streamError)
+            if (started) return res.destroy(streamError)
+
+            sendError({
+              error: streamError,
+              ...resolveError(streamError, { errorCodes: allErrorCodes, status: 500 })
+            })
+          }
+        })
+      }
+
+      // explicit null results are not validated, since they represent
+      // an intended empty response
+      if (validateResponse && result !== null) {
+        try {
+          result = await validateResponse(result, statusCode, e => {
+            bindLogger(requestLogger, { err: e }).warn(`Invalid response: ${e.message}`)
+          })
+        } catch (responseError) {
+          errorHook(responseError)
+
+          return sendError({
+            error: responseError,
+            code: 500,
+            title: 'Internal Server Error',
+            description: 'An unintended error occurred.',
+            info: 'The response does not match the response schema.'
+          })
+        }
+      }
+
+      // strings and buffers are considered as already serialized
+      if (typeof result === 'string' || Buffer.isBuffer(result)) {
+        return sendResult(getContentType(res, getRawType(result)), result)
+      }
+
+      const serializer = negotiate(req.headers.accept, routeSerializers)
+      if (!serializer) {
+        const types = routeSerializers.map(s => s.type).join(', ')
+        errorHook(new Error(`Not acceptable: ${req.headers.accept}`))
+
+        return sendError({
+          code: 406,
+          title: 'Not Acceptable',
+          description: `The route only produces ${types}.`
+        })
+      }
 
-      res.writeHead(200, { 'Content-Type': 'application/json' })
+      const headers = getContentType(res, serializer.type)
+      if (routeSerializers.length > 1) {
+        headers.Vary = [res.getHeader('Vary'), 'Accept'].filter(Boolean).join(', ')
+      }
+
+      return sendResult(headers, serializer.serialize(result))
+    }
+
+    register({ methods, handler })
+
+    const documentedRoute = {
+      path,
+      methods,
+      schema,
+      request: requestSchema,
+      response: responseSchema,
+      types: sse ? ['text/event-stream'] : routeSerializers.map(serializer => serializer.type),
+      auth: authOptions,
+      summary,
+      description,
+      tags
+    }
+    documentedRoutes.push(documentedRoute)
+
+    const route = {
+      path,
+      methods,
+      raw: routeApp === WebApp.rawConnectHandlers,
+      handler,
+
+      /**
+       * @return {boolean} true, if the route handles requests
+       */
+      isEnabled: () => !state.disabled && !state.removed,
+
+      /**
+       * Disables the route and its middleware temporarily.
+       * @param fallthrough {boolean?} optional, passes requests to the next
+       *  handler instead of responding with 503
+       */
+      disable: ({ fallthrough = false } = {}) => {
+        check(fallthrough, Boolean)
+        state.disabled = true
+        state.fallthrough = fallthrough
+        return route
+      },
+
+      /**
+       * Enables a disabled route.
+       */
+      enable: () => {
+        state.disabled = false
+        state.fallthrough = false
+        return route
+      },
 
-      if (typeof result !== 'string') {
-        return res.end(EJSON.stringify(result))
-      } else {
-        return res.end(result)
+      /**
+       * Removes the route and its middleware from the connect handlers, the
+       * route can't be enabled again.
+       */
+      remove: () => {
+        state.removed = true
+        routeHandlers.forEach(registered => unregisterHandler(routeApp, registered))
+        removeEntry(registeredRoutes, registeredRoute)
+        removeEntry(documentedRoutes, documentedRoute)
+        removeEntry(factoryRoutes, route)
       }
     }
 
-    registerHandler({ app, method, path, handler })
-    return handler
+    factoryRoutes.push(route)
+    routeHandlersOf.set(route, routeHandlers)
+    handlerChains.set(route, () => factoryHandlers.concat(routeHandlers))
+    return route
+  }
+
+  /**
+   * Lists all routes of this factory, that have not been removed.
+   * @return {[object]} the routes
+   */
+  routeHandler.routes = () => factoryRoutes.slice()
+
+  const createGroup = (prefix, defaults) => {
+    const groupRoutes = []
+
+    const groupHandler = (config = {}) => {
+      check(config, isGroupOptions)
+      const route = routeHandler(Object.assign(mergeGroupOptions(defaults, config), {
+        path: joinPath(prefix, config.path)
+      }))
+      groupRoutes.push(route)
+      return route
+    }
+
+    groupHandler.group = (groupPrefix, options = {}) => {
+      check(groupPrefix, isGroupPrefix)
+      check(options, isGroupOptions)
+      return createGroup(joinPath(prefix, groupPrefix), mergeGroupOptions(defaults, options))
+    }
+
+    groupHandler.routes = () => groupRoutes.filter(route => factoryRoutes.includes(route))
+
+    handlerChains.set(groupHandler, () => groupHandler.routes().reduce(
+      (handlers, route) => handlers.concat(routeHandlersOf.get(route)),
+      factoryHandlers.slice()
+    ))
+
+    return groupHandler
+  }
+
+  /**
+   * Creates a group of routes, that share the prefix of their paths and the
+   * given route options. Groups can be nested.
+   * @param prefix {string} the prefix of all paths, like '/api/v2'
+   * @param options {object?} optional, the defaults of all route options,
+   *  like schemaFactory, onError or auth, which the routes can override;
+   *  auth, rateLimit and cors objects are extended and the middleware list
+   *  runs before the middleware of the routes
+   * @return {function} a factory-method with the same signature, that also
+   *  has group and routes
+   */
+  routeHandler.group = (prefix, options = {}) => {
+    check(prefix, isGroupPrefix)
+    check(options, isGroupOptions)
+    return createGroup(prefix, mergeGroupOptions({}, options))
+  }
+
+  /**
+   * Creates an OpenAPI 3.1 document of all routes of this factory.
+   * @param options {object?} optional, overrides the factory's openapi options
+   * @return {object} the OpenAPI document
+   */
+  routeHandler.openapi = (options = {}) => {
+    check(options, isMaybeOpenAPIOptions)
+    return createOpenAPIDocument(Object.assign({}, openapi, options, { routes: documentedRoutes }))
   }
 
+  // the document is created on each request, so it contains routes,
+  // that are created after the factory
+  if (openapi && openapi.path) {
+    const openapiMatcher = compilePath(openapi.path, true)
+    const openapiRoute = { matcher: openapiMatcher, exactMatcher: openapiMatcher, methods: ['get'] }
+    registeredRoutes.push(openapiRoute)
+    factoryHandlers.push(registerHandler({
+      app,
+      matcher: openapiRoute.matcher,
+      methods: openapiRoute.methods,
+      errorOptions,
+      handler: function (req, res) {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(routeHandler.openapi()))
+      }
+    }))
+  }
+
+  /**
+   * The metrics registry of this factory, if metrics are enabled.
+   */
+  routeHandler.metrics = metricsRegistry || undefined
+
+  if (metricsOptions && metricsOptions.path) {
+    const metricsMatcher = compilePath(metricsOptions.path, true)
+    const metricsRoute = { matcher: metricsMatcher, exactMatcher: metricsMatcher, methods: ['get'] }
+    registeredRoutes.push(metricsRoute)
+    factoryHandlers.push(registerHandler({
+      app,
+      matcher: metricsRoute.matcher,
+      methods: metricsRoute.methods,
+      errorOptions,
+      handler: function (req, res) {
+        res.writeHead(200, { 'Content-Type': metricsRegistry.contentType || 'text/plain; version=0.0.4; charset=utf-8' })
+        res.end(metricsRegistry.render())
+      }
+    }))
+  }
+
+  handlerChains.set(routeHandler, () => factoryRoutes.reduce(
+    (handlers, route) => handlers.concat(routeHandlersOf.get(route)),
+    factoryHandlers.slice()
+  ))
+
   // finally return route handler
   return routeHandler
 }
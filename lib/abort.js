@@ -0,0 +1,89 @@
+/* global AbortController, AbortSignal */
+
+// native signals are only used, if they support abort reasons (Node 17.2)
+const supportsAbortController = () => typeof AbortController === 'function' &&
+  typeof AbortSignal === 'function' &&
+  'reason' in AbortSignal.prototype
+
+// a minimal AbortSignal for older runtimes (like Node 14 of Meteor 2),
+// which supports the properties and listeners, that are commonly used
+const createSignal = () => {
+  const listeners = []
+
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: (type, listener) => {
+      if (type === 'abort' && !listeners.includes(listener)) listeners.push(listener)
+    },
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener)
+      if (type === 'abort' && index > -1) listeners.splice(index, 1)
+    },
+    throwIfAborted: () => {
+      if (signal.aborted) throw signal.reason
+    }
+  }
+
+  const abort = reason => {
+    signal.aborted = true
+    signal.reason = reason
+    const event = { type: 'abort', target: signal }
+    if (typeof signal.onabort === 'function') signal.onabort(event)
+    listeners.splice(0).forEach(listener => listener.call(signal, event))
+  }
+
+  return { signal, abort }
+}
+
+/**
+ * Tracks, whether a request has been aborted (by a timeout or the client).
+ * The signal is a native AbortSignal, if the runtime supports it, otherwise
+ * a minimal signal with aborted, reason, onabort and the abort listeners.
+ * @return {object} the state with signal, aborted, reason, abort and onAbort
+ */
+export const createAbortState = () => {
+  const controller = supportsAbortController()
+    ? new AbortController()
+    : createSignal()
+  const listeners = []
+
+  const state = {
+    signal: controller.signal,
+    aborted: false,
+    reason: undefined,
+
+    /**
+     * Aborts the request, only the first reason is kept
+     * @param reason {Error} the reason
+     */
+    abort: reason => {
+      if (state.aborted) return
+      state.aborted = true
+      state.reason = reason
+      controller.abort(reason)
+      listeners.splice(0).forEach(listener => listener(reason))
+    },
+
+    /**
+     * Runs the listener once the request is aborted, immediately if it
+     * already is
+     * @param listener {function(reason)}
+     * @return {function} removes the listener
+     */
+    onAbort: listener => {
+      if (state.aborted) {
+        listener(state.reason)
+        return () => {}
+      }
+      listeners.push(listener)
+      return () => {
+        const index = listeners.indexOf(listener)
+        if (index > -1) listeners.splice(index, 1)
+      }
+    }
+  }
+
+  return state
+}
@@ -0,0 +1,61 @@
+/* global Package */
+import crypto from 'crypto'
+import { Meteor } from 'meteor/meteor'
+
+// same as Accounts._hashLoginToken and Accounts default token lifetime
+const hashLoginToken = token => crypto.createHash('sha256').update(token).digest('base64')
+const defaultTokenLifetime = 90 * 24 * 60 * 60 * 1000
+
+// accounts-base is a weak dependency, so we access it only if it exists
+const getAccounts = () => Package['accounts-base'] && Package['accounts-base'].Accounts
+
+const isExpired = when => {
+  const Accounts = getAccounts()
+  const expiresAt = Accounts && typeof Accounts._tokenExpiration === 'function'
+    ? Accounts._tokenExpiration(when)
+    : new Date(new Date(when).getTime() + defaultTokenLifetime)
+  return expiresAt < new Date()
+}
+
+// supports either a bearer token or x-user-id and x-auth-token headers
+const getCredentials = req => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return { token }
+  }
+
+  const userId = req.headers['x-user-id']
+  const authToken = req.headers['x-auth-token']
+  if (userId && authToken) {
+    return { userId, token: authToken }
+  }
+}
+
+const findUser = selector => typeof Meteor.users.findOneAsync === 'function'
+  ? Meteor.users.findOneAsync(selector)
+  : Meteor.users.findOne(selector)
+
+/**
+ * Resolves the user of the request by a Meteor login token.
+ * @param req the request
+ * @return {Promise<object|undefined>} the user document or undefined, if there
+ *  are no credentials or the login token is unknown or expired
+ */
+export const resolveUser = async req => {
+  const credentials = getCredentials(req)
+  if (!credentials || !Meteor.users) return
+
+  const hashedToken = hashLoginToken(credentials.token)
+  const selector = { 'services.resume.loginTokens.hashedToken': hashedToken }
+  if (credentials.userId) {
+    selector._id = credentials.userId
+  }
+
+  const user = await findUser(selector)
+  if (!user) return
+
+  const loginToken = user.services.resume.loginTokens.find(t => t.hashedToken === hashedToken)
+  if (!loginToken || (loginToken.when && isExpired(loginToken.when))) return
+
+  return user
+}
@@ -0,0 +1,146 @@
+import { createAbortedError, createError } from './utils'
+
+const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 }
+const defaultLimit = '100kb'
+
+/**
+ * Converts a size limit, like '1mb', into bytes.
+ * @param limit {string|number} the limit as number of bytes or string with unit
+ * @return {number} the limit in bytes
+ */
+export const toBytes = limit => {
+  if (typeof limit === 'number') return limit
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(limit).trim())
+  if (!match) throw new Error(`Invalid size limit: ${limit}`)
+
+  const unit = (match[2] || 'b').toLowerCase()
+  return Math.floor(parseFloat(match[1]) * units[unit])
+}
+
+/**
+ * Parses an urlencoded string into an object. Repeated keys are collected
+ * as array.
+ * @param search {string} the urlencoded string
+ * @return {object} the parsed key-value pairs
+ */
+export const parseQueryString = (search = '') => {
+  const result = {}
+  new URLSearchParams(search).forEach((value, key) => {
+    if (!Object.prototype.hasOwnProperty.call(result, key)) {
+      result[key] = value
+    } else {
+      result[key] = [].concat(result[key], value)
+    }
+  })
+  return result
+}
+
+const parsers = {
+  json: {
+    matches: type => type === 'application/json' || type.endsWith('+json'),
+    parse: text => text.length ? JSON.parse(text) : {}
+  },
+  urlencoded: {
+    matches: type => type === 'application/x-www-form-urlencoded',
+    parse: text => parseQueryString(text)
+  },
+  text: {
+    matches: type => type.startsWith('text/'),
+    parse: text => text
+  }
+}
+
+const hasBody = req => req.headers['transfer-encoding'] !== undefined ||
+  (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0')
+
+const getContentType = req => {
+  const [type = '', ...params] = (req.headers['content-type'] || '').split(';')
+  const charsetParam = params.find(param => param.trim().toLowerCase().startsWith('charset='))
+  const charset = charsetParam && charsetParam.split('=')[1].trim().replace(/"/g, '').toLowerCase()
+  return {
+    type: type.trim().toLowerCase(),
+    charset: charset && Buffer.isEncoding(charset) ? charset : 'utf8'
+  }
+}
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const length = parseInt(req.headers['content-length'], 10)
+  const tooLarge = () => createError(`Request body exceeds the limit of ${limit} bytes.`, 413)
+
+  if (length > limit) {
+    req.resume()
+    return reject(tooLarge())
+  }
+
+  const chunks = []
+  let received = 0
+
+  const cleanup = () => {
+    req.removeListener('data', onData)
+    req.removeListener('end', onEnd)
+    req.removeListener('error', onEnd)
+    req.removeListener('aborted', onAborted)
+    req.removeListener('close', onAborted)
+  }
+  const onData = chunk => {
+    received += chunk.length
+    if (received > limit) {
+      cleanup()
+      req.resume()
+      return reject(tooLarge())
+    }
+    chunks.push(chunk)
+  }
+  const onEnd = error => {
+    cleanup()
+    if (error) return reject(req.aborted ? createAbortedError() : createError(error.message, 400))
+    resolve(Buffer.concat(chunks))
+  }
+  // older Node versions only emit aborted and close, if the client disconnects
+  const onAborted = () => {
+    cleanup()
+    reject(createAbortedError())
+  }
+
+  req.on('data', onData)
+  req.on('end', onEnd)
+  req.on('error', onEnd)
+  req.on('aborted', onAborted)
+  req.on('close', onAborted)
+})
+
+/**
+ * Creates a function, that parses the request body by its content type.
+ * @param options {object} the parsers to use, each one of json, urlencoded
+ *  or text, which can be true or an options object with an optional limit
+ * @return {function(req):Promise} resolves when the body has been parsed
+ *  and assigned to req.body, rejects with an error that has a status of
+ *  413 if the body is too large or 400 if the body is malformed, or that is
+ *  marked as aborted, if the client disconnects
+ */
+export const createBodyParser = (options) => {
+  const enabled = Object.keys(parsers)
+    .filter(name => options[name])
+    .map(name => {
+      const { limit = defaultLimit } = options[name] === true ? {} : options[name]
+      return Object.assign({ limit: toBytes(limit) }, parsers[name])
+    })
+
+  return async function parseBody (req) {
+    // skip if other middleware (like body-parser) has already read the body
+    if (req._body || !hasBody(req)) return
+
+    const { type, charset } = getContentType(req)
+    const parser = enabled.find(p => p.matches(type))
+    if (!parser) return
+
+    const buffer = await readBody(req, parser.limit)
+    try {
+      req.body = parser.parse(buffer.toString(charset))
+    } catch (e) {
+      throw createError(e.message, 400)
+    }
+    req._body = true
+  }
+}
@@ -0,0 +1,66 @@
+import crypto from 'crypto'
+
+const cacheableMethods = ['GET', 'HEAD']
+
+/**
+ * Creates a strong ETag from the serialized body of a response.
+ * @param body {string|Buffer} the serialized body
+ * @return {string} the quoted ETag
+ */
+export const createETag = body => {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body)
+  const hash = crypto.createHash('sha1').update(buffer).digest('base64').replace(/=+$/, '')
+  return `"${buffer.length.toString(16)}-${hash}"`
+}
+
+/**
+ * Formats a user-provided version key as ETag, quoted ETags (including weak
+ * ones, like W/"1") are kept as they are.
+ * @param value {string|number} the version key
+ * @return {string} the quoted ETag
+ */
+export const formatETag = value => {
+  const tag = String(value)
+  return /^(W\/)?".*"$/.test(tag)
+    ? tag
+    : `"${tag.replace(/"/g, '')}"`
+}
+
+/**
+ * Only successful GET and HEAD requests can be answered from caches.
+ */
+export const isCacheable = (req, statusCode) => cacheableMethods.includes(req.method) && statusCode === 200
+
+// weak comparison, as required for If-None-Match
+const toOpaqueTag = tag => tag.trim().replace(/^W\//, '')
+
+/**
+ * Determines, whether the client's cached representation is still fresh,
+ * by the ETag and Last-Modified headers of the response. If-None-Match takes
+ * precedence over If-Modified-Since.
+ * @param req the request
+ * @param res the response
+ * @return {boolean} true, if the request can be answered with a 304
+ */
+export const isFresh = (req, res) => {
+  const ifNoneMatch = req.headers['if-none-match']
+  const ifModifiedSince = req.headers['if-modified-since']
+
+  if (ifNoneMatch) {
+    const etag = res.getHeader('ETag')
+    if (ifNoneMatch.trim() === '*') return !!etag
+    if (!etag) return false
+
+    const opaqueTag = toOpaqueTag(etag)
+    return ifNoneMatch.split(',').some(tag => toOpaqueTag(tag) === opaqueTag)
+  }
+
+  const lastModified = res.getHeader('Last-Modified')
+  if (ifModifiedSince && lastModified) {
+    const modified = Date.parse(lastModified)
+    const since = Date.parse(ifModifiedSince)
+    return !isNaN(modified) && !isNaN(since) && modified <= since
+  }
+
+  return false
+}
@@ -0,0 +1,90 @@
+// methods, that are allowed for routes without a specific method
+export const defaultCorsMethods = ['get', 'head', 'put', 'patch', 'post', 'delete']
+
+const isAllowed = (allowed, origin) => allowed.some(entry => entry instanceof RegExp
+  ? entry.test(origin)
+  : entry === origin)
+
+const toHeader = list => list.map(entry => entry.toUpperCase()).join(', ')
+
+const appendVary = (res, field) => {
+  const vary = res.getHeader('Vary')
+  if (!vary) return res.setHeader('Vary', field)
+  if (!vary.split(/\s*,\s*/).includes(field)) res.setHeader('Vary', `${vary}, ${field}`)
+}
+
+/**
+ * Creates the CORS handling of a route.
+ * @param origin {string|[string|RegExp]|function} the allowed origins, either
+ *  '*' (default), a single origin, a list of origins or a function
+ *  (origin, req) that resolves to true, if the origin is allowed
+ * @param methods {[string]?} the allowed methods, derived from the registered
+ *  routes, if omitted
+ * @param allowedHeaders {[string]?} the allowed request headers, reflects the
+ *  requested headers, if omitted
+ * @param exposedHeaders {[string]?} response headers, that clients can read
+ * @param credentials {boolean?} allows cookies and authorization headers
+ * @param maxAge {number?} seconds, that clients can cache preflight responses
+ * @return {{decorate: function(req, res):Promise<boolean>, preflight: function(req, res, methods):Promise}}
+ */
+export const createCors = ({ origin = '*', methods, allowedHeaders, exposedHeaders, credentials = false, maxAge }) => {
+  const resolveOrigin = async req => {
+    const requestOrigin = req.headers.origin
+
+    // wildcards can't be used with credentials, so we reflect the origin
+    if (origin === '*') {
+      return credentials ? requestOrigin : '*'
+    }
+
+    if (!requestOrigin) return
+    if (typeof origin === 'string') return origin === requestOrigin ? origin : undefined
+    if (Array.isArray(origin)) return isAllowed(origin, requestOrigin) ? requestOrigin : undefined
+    return (await origin(requestOrigin, req)) ? requestOrigin : undefined
+  }
+
+  /**
+   * Adds the CORS headers for actual requests.
+   * @return {Promise<boolean>} resolves to true, if the origin is allowed
+   */
+  const decorate = async (req, res) => {
+    const allowedOrigin = await resolveOrigin(req)
+    if (origin !== '*' || credentials) {
+      appendVary(res, 'Origin')
+    }
+    if (!allowedOrigin) return false
+
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin)
+    if (credentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true')
+    }
+    if (exposedHeaders && exposedHeaders.length) {
+      res.setHeader('Access-Control-Expose-Headers', exposedHeaders.join(', '))
+    }
+    return true
+  }
+
+  /**
+   * Ends a preflight request, the CORS headers are omitted, if the origin is
+   * not allowed, so the browser rejects the actual request.
+   */
+  const preflight = async (req, res, routeMethods) => {
+    if (await decorate(req, res)) {
+      const requestHeaders = req.headers['access-control-request-headers']
+      res.setHeader('Access-Control-Allow-Methods', toHeader(methods || routeMethods))
+      if (allowedHeaders || requestHeaders) {
+        res.setHeader('Access-Control-Allow-Headers', allowedHeaders ? allowedHeaders.join(', ') : requestHeaders)
+        if (!allowedHeaders) {
+          appendVary(res, 'Access-Control-Request-Headers')
+        }
+      }
+      if (typeof maxAge === 'number') {
+        res.setHeader('Access-Control-Max-Age', maxAge)
+      }
+    }
+
+    res.writeHead(204, { 'Content-Length': '0' })
+    res.end()
+  }
+
+  return { decorate, preflight }
+}
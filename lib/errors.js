@@ -0,0 +1,163 @@
+import { STATUS_CODES } from 'http'
+import { isStatusCode } from './utils'
+
+export const statuses = {
+  400: { title: 'Bad Request', description: 'Malformed query or body.' },
+  401: { title: 'Unauthorized', description: 'Authentication is required.' },
+  403: { title: 'Forbidden', description: 'Permission denied.' },
+  404: { title: 'Not Found', description: 'The requested resource does not exist.' },
+  409: { title: 'Conflict', description: 'The request conflicts with the current state of the resource.' },
+  410: { title: 'Gone', description: 'The requested resource is no longer available.' },
+  422: { title: 'Unprocessable Entity', description: 'The request could not be processed.' },
+  429: { title: 'Too Many Requests', description: 'Too many requests, try again later.' },
+  500: { title: 'Internal Server Error', description: 'An unintended error occurred.' },
+  501: { title: 'Not Implemented', description: 'The requested functionality is not implemented.' },
+  503: { title: 'Service Unavailable', description: 'The service is currently unavailable.' },
+  504: { title: 'Gateway Timeout', description: 'The request could not be answered in time.' }
+}
+
+const getStatus = code => statuses[code] || { title: STATUS_CODES[code] || 'Error' }
+
+/**
+ * Base class for errors, that are transformed into responses with the given
+ * status code. Use the specific subclasses where possible.
+ */
+export class HTTPError extends Error {
+  /**
+   * @param status {number} the status code of the response
+   * @param message {string?} optional message, sent as info
+   * @param title {string?} optional, overrides the default title of the status
+   * @param description {string?} optional, overrides the default description
+   * @param details {any?} optional details, sent with the response body
+   * @param type {string?} optional URI, that identifies the problem type
+   *  (only used with the problem error format)
+   */
+  constructor (status, message, { title, description, details, type } = {}) {
+    const defaults = getStatus(status)
+    super(message || defaults.title)
+    this.name = 'HTTPError'
+    this.status = status
+    this.title = title || defaults.title
+    this.description = description || defaults.description
+    this.details = details
+    this.type = type
+  }
+}
+
+const createErrorClass = (name, status) => class extends HTTPError {
+  constructor (message, options) {
+    super(status, message, options)
+    this.name = name
+  }
+}
+
+export const BadRequestError = createErrorClass('BadRequestError', 400)
+export const UnauthorizedError = createErrorClass('UnauthorizedError', 401)
+export const ForbiddenError = createErrorClass('ForbiddenError', 403)
+export const NotFoundError = createErrorClass('NotFoundError', 404)
+export const ConflictError = createErrorClass('ConflictError', 409)
+export const GoneError = createErrorClass('GoneError', 410)
+export const UnprocessableEntityError = createErrorClass('UnprocessableEntityError', 422)
+export const TooManyRequestsError = createErrorClass('TooManyRequestsError', 429)
+export const InternalServerError = createErrorClass('InternalServerError', 500)
+export const NotImplementedError = createErrorClass('NotImplementedError', 501)
+export const ServiceUnavailableError = createErrorClass('ServiceUnavailableError', 503)
+export const GatewayTimeoutError = createErrorClass('GatewayTimeoutError', 504)
+
+/**
+ * Default mapping of Meteor.Error codes to status codes, numeric codes
+ * between 400 and 599 are used as they are.
+ */
+export const defaultErrorCodes = {
+  'validation-error': 400,
+  'bad-request': 400,
+  unauthorized: 401,
+  'not-authorized': 403,
+  'permission-denied': 403,
+  forbidden: 403,
+  'not-found': 404,
+  conflict: 409
+}
+
+const isMeteorError = error => ['Meteor.Error', 'ClientError'].includes(error.errorType)
+const isErrorStatus = code => isStatusCode(code) && code >= 400
+
+// only expose name, type and message of each invalid field
+const toValidationDetails = details => details.map(({ name, type, message }) => ({ name, type, message }))
+
+/**
+ * Resolves the response for any thrown error.
+ * @param error {Error} the thrown error
+ * @param errorCodes {object} mapping of Meteor.Error codes to status codes
+ * @param status {number} the status code for all other errors
+ * @return {{code: number, title: string, description: string, info: string?, details: *}}
+ *  the error response options for handleError, info is omitted for unknown
+ *  errors, so their message can be hidden
+ */
+export const resolveError = (error, { errorCodes = defaultErrorCodes, status }) => {
+  const fallback = Object.assign({ code: status }, getStatus(status))
+  if (!error) return fallback
+
+  if (error instanceof HTTPError) {
+    return {
+      code: error.status,
+      title: error.title,
+      description: error.description,
+      info: error.message,
+      details: error.details
+    }
+  }
+
+  if (!isMeteorError(error)) return fallback
+
+  const code = isErrorStatus(error.error)
+    ? error.error
+    : errorCodes[error.error]
+
+  const response = Object.assign({}, fallback, code && getStatus(code), {
+    code: code || status,
+    info: error.reason || error.message
+  })
+
+  if (error.error === 'validation-error' && Array.isArray(error.details)) {
+    response.details = toValidationDetails(error.details)
+  }
+
+  return response
+}
+
+/**
+ * Returns, whether the message of an error is intended for clients. This is
+ * the case for http errors and Meteor.Error (like in Meteor methods), while
+ * the message of any other error is considered internal.
+ * @param error {Error?} the error
+ * @return {boolean} true if the message can be sent to the client
+ */
+export const isClientSafe = error => !!error && (
+  error instanceof HTTPError ||
+  isMeteorError(error)
+)
+
+/**
+ * The builtin error formats. A format receives the error response and returns
+ * the content type and the body of the response.
+ */
+export const errorFormats = {
+  default: ({ title, description, info, details }) => ({
+    type: 'application/json',
+    body: { title, description, info, details }
+  }),
+
+  // RFC 7807 problem details, details are added as extension member
+  problem: ({ status, title, description, info, details, type }, { req }) => ({
+    type: 'application/problem+json',
+    body: {
+      type: type || 'about:blank',
+      title,
+      status,
+      detail: info || description,
+      instance: req && (req.originalUrl || req.url),
+      details
+    }
+  })
+}
@@ -0,0 +1,166 @@
+import { Readable, Writable } from 'stream'
+import { STATUS_CODES } from 'http'
+import { isObject } from './utils'
+
+const toQueryString = query => Object.entries(query)
+  .map(([key, value]) => [].concat(value)
+    .map(entry => `${encodeURIComponent(key)}=${encodeURIComponent(entry)}`)
+    .join('&'))
+  .join('&')
+
+// plain objects are sent as json, strings and buffers as they are
+const toPayload = (body, headers) => {
+  if (typeof body === 'undefined' || body === null) return
+  if (Buffer.isBuffer(body)) return body
+  if (typeof body === 'string') return Buffer.from(body)
+
+  if (!headers['content-type']) {
+    headers['content-type'] = 'application/json'
+  }
+  return Buffer.from(JSON.stringify(body))
+}
+
+const createRequest = ({ method = 'get', url = '/', query, body, headers = {} }) => {
+  const requestHeaders = {}
+  Object.entries(headers).forEach(([name, value]) => {
+    requestHeaders[name.toLowerCase()] = String(value)
+  })
+
+  const payload = toPayload(body, requestHeaders)
+  if (payload) {
+    requestHeaders['content-length'] = String(payload.length)
+  }
+
+  const search = query && toQueryString(query)
+  const req = new Readable({ read () {} })
+  req.method = method.toUpperCase()
+  req.url = search ? `${url}${url.includes('?') ? '&' : '?'}${search}` : url
+  req.headers = requestHeaders
+  req.httpVersion = '1.1'
+  req.socket = req.connection = { remoteAddress: '127.0.0.1', encrypted: false }
+
+  if (payload) req.push(payload)
+  req.push(null)
+
+  return req
+}
+
+/**
+ * A response, that collects the status, headers and body in memory.
+ */
+class InjectedResponse extends Writable {
+  constructor () {
+    super()
+    this.statusCode = 200
+    this.statusMessage = undefined
+    this.headersSent = false
+    this.chunks = []
+    this._headers = {}
+  }
+
+  setHeader (name, value) {
+    this._headers[name.toLowerCase()] = value
+    return this
+  }
+
+  getHeader (name) {
+    return this._headers[name.toLowerCase()]
+  }
+
+  getHeaders () {
+    return Object.assign({}, this._headers)
+  }
+
+  hasHeader (name) {
+    return Object.prototype.hasOwnProperty.call(this._headers, name.toLowerCase())
+  }
+
+  removeHeader (name) {
+    delete this._headers[name.toLowerCase()]
+  }
+
+  writeHead (statusCode, statusMessage, headers) {
+    if (typeof statusMessage !== 'string') {
+      headers = statusMessage
+      statusMessage = undefined
+    }
+
+    this.statusCode = statusCode
+    this.statusMessage = statusMessage || STATUS_CODES[statusCode]
+    Object.entries(headers || {}).forEach(([name, value]) => this.setHeader(name, value))
+    this.headersSent = true
+    return this
+  }
+
+  flushHeaders () {
+    this.headersSent = true
+  }
+
+  end (...args) {
+    this.headersSent = true
+    return super.end(...args)
+  }
+
+  _write (chunk, encoding, callback) {
+    this.headersSent = true
+    this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding))
+    callback()
+  }
+
+  toResult () {
+    const body = Buffer.concat(this.chunks).toString('utf8')
+    let json
+    try {
+      json = JSON.parse(body)
+    } catch (e) {
+      json = undefined
+    }
+
+    return { statusCode: this.statusCode, headers: this.getHeaders(), body, json }
+  }
+}
+
+/**
+ * Runs the given connect handlers against a mock request and response,
+ * without an HTTP server.
+ * @param handlers {[function]} the connect handlers in order
+ * @param method {string?} the request method, defaults to 'get'
+ * @param url {string?} the request url, defaults to '/'
+ * @param query {object?} optional, query params, that are added to the url
+ * @param body {object|string|Buffer?} optional, the request body, objects are
+ *  sent as json
+ * @param headers {object?} optional, the request headers
+ * @return {Promise<{statusCode: number, headers: object, body: string, json: any}>}
+ *  resolves with a 404, if no handler ends the request
+ */
+export const injectRequest = (handlers, { method, url, query, body, headers } = {}) => new Promise((resolve, reject) => {
+  const req = createRequest({ method, url, query, body, headers })
+  const res = new InjectedResponse()
+
+  res.once('finish', () => resolve(res.toResult()))
+  res.once('error', reject)
+  res.once('close', () => {
+    if (!res.writableFinished) reject(new Error('The response has been destroyed.'))
+  })
+
+  let index = 0
+  const next = error => {
+    if (error) {
+      return reject(isObject(error) ? error : new Error(error))
+    }
+
+    const handler = handlers[index++]
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+      return res.end(STATUS_CODES[404])
+    }
+
+    try {
+      handler(req, res, next)
+    } catch (e) {
+      reject(e)
+    }
+  }
+
+  next()
+})
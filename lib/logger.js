@@ -0,0 +1,117 @@
+import crypto from 'crypto'
+
+export const logLevels = ['debug', 'info', 'warn', 'error']
+
+/**
+ * The default logger, that logs to the console and prefixes every line,
+ * like `[get /users]:`.
+ * @param prefix {string} the prefix of all lines
+ * @return {object} a logger with debug, info, warn, error and child
+ */
+export const createConsoleLogger = prefix => {
+  const logger = { child: () => logger }
+  logLevels.forEach(level => {
+    logger[level] = (...args) => console[level === 'info' ? 'log' : level](prefix, ...args)
+  })
+  return logger
+}
+
+/**
+ * Attaches the fields to all lines of the logger, uses child loggers, if
+ * supported (like pino and winston), otherwise adds the fields as last
+ * argument.
+ * @param logger {object} the logger
+ * @param fields {object} the fields to attach
+ * @return {object} the bound logger
+ */
+export const bindLogger = (logger, fields) => {
+  if (typeof logger.child === 'function') {
+    return logger.child(fields)
+  }
+
+  const bound = {}
+  logLevels.forEach(level => {
+    const log = logger[level] || logger.info
+    bound[level] = (...args) => log.call(logger, ...args, fields)
+  })
+  return bound
+}
+
+/**
+ * Creates the log function of the environment, that logs on info level and
+ * provides the other levels as methods, like `log.warn`.
+ * @param logger {object} the bound logger of the request
+ * @return {function} the log function
+ */
+export const createLog = logger => {
+  const getLevel = level => (logger[level] || logger.info).bind(logger)
+  const log = getLevel('info')
+  logLevels.forEach(level => {
+    log[level] = getLevel(level)
+  })
+  return log
+}
+
+// incoming ids are only propagated, if they are safe to log and to send back
+const isValidRequestId = id => typeof id === 'string' && /^[\w.:@-]{1,128}$/.test(id)
+
+const generateRequestId = () => typeof crypto.randomUUID === 'function'
+  ? crypto.randomUUID()
+  : crypto.randomBytes(16).toString('hex')
+
+/**
+ * Resolves the id of a request, either from its X-Request-Id header or a
+ * generated one.
+ * @param req the request
+ * @return {string} the request id
+ */
+export const getRequestId = req => {
+  const id = req.headers['x-request-id']
+  return isValidRequestId(id) ? id : generateRequestId()
+}
+
+const byteLength = (chunk, encoding) => Buffer.isBuffer(chunk)
+  ? chunk.length
+  : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : undefined)
+
+/**
+ * Measures the duration and the size of a response.
+ * @param res the response
+ * @param onDone {function} receives { statusCode, duration, size }, once the
+ *  response is finished or the connection is closed
+ */
+export const trackResponse = (res, onDone) => {
+  const start = process.hrtime()
+  const { write, end } = res
+  let size = 0
+  let done = false
+  let ending = false
+
+  // streams write the last chunk on end, which must not be counted twice
+  res.write = function (chunk, encoding, ...args) {
+    if (!ending && chunk && typeof chunk !== 'function') size += byteLength(chunk, encoding)
+    return write.call(this, chunk, encoding, ...args)
+  }
+
+  res.end = function (chunk, encoding, ...args) {
+    if (chunk && typeof chunk !== 'function') size += byteLength(chunk, encoding)
+    ending = true
+    try {
+      return end.call(this, chunk, encoding, ...args)
+    } finally {
+      ending = false
+    }
+  }
+
+  const finish = () => {
+    if (done) return
+    done = true
+
+    const [seconds, nanoseconds] = process.hrtime(start)
+    const duration = Math.round((seconds * 1e3 + nanoseconds / 1e6) * 100) / 100
+    onDone({ statusCode: res.statusCode, duration, size })
+  }
+
+  res.once('finish', finish)
+  res.once('close', finish)
+}
@@ -0,0 +1,188 @@
+export const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const isValidName = name => /^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)
+
+const escapeLabel = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"')
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ''
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+// series are identified by their labels, regardless of the order of the keys
+const toKey = labels => JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]))
+
+// supports both, (labels, value) and (value), like prom-client
+const toArgs = (labels, value, defaultValue) => typeof labels === 'number'
+  ? [{}, labels]
+  : [labels || {}, typeof value === 'number' ? value : defaultValue]
+
+const createSeries = () => {
+  const series = new Map()
+  return {
+    get: (labels, create) => {
+      const key = toKey(labels)
+      if (!series.has(key)) series.set(key, Object.assign({ labels: Object.assign({}, labels) }, create()))
+      return series.get(key)
+    },
+    values: () => [...series.values()]
+  }
+}
+
+const createCounter = (name, help) => {
+  const series = createSeries()
+  return {
+    type: 'counter',
+    inc (labels, value) {
+      const [seriesLabels, amount] = toArgs(labels, value, 1)
+      if (amount < 0) throw new Error(`Counter ${name} can't be decreased.`)
+      series.get(seriesLabels, () => ({ value: 0 })).value += amount
+    },
+    get: (labels = {}) => series.get(labels, () => ({ value: 0 })).value,
+    render: () => series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  }
+}
+
+const createGauge = (name, help) => {
+  const series = createSeries()
+  const change = (labels, value, sign) => {
+    const [seriesLabels, amount] = toArgs(labels, value, 1)
+    series.get(seriesLabels, () => ({ value: 0 })).value += sign * amount
+  }
+  return {
+    type: 'gauge',
+    set (labels, value) {
+      const [seriesLabels, amount] = toArgs(labels, value, 0)
+      series.get(seriesLabels, () => ({ value: 0 })).value = amount
+    },
+    inc: (labels, value) => change(labels, value, 1),
+    dec: (labels, value) => change(labels, value, -1),
+    get: (labels = {}) => series.get(labels, () => ({ value: 0 })).value,
+    render: () => series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  }
+}
+
+const createHistogram = (name, help, buckets = defaultBuckets) => {
+  const series = createSeries()
+  const sorted = buckets.slice().sort((a, b) => a - b)
+  const create = () => ({ counts: sorted.map(() => 0), sum: 0, count: 0 })
+
+  return {
+    type: 'histogram',
+    observe (labels, value) {
+      const [seriesLabels, observed] = toArgs(labels, value, 0)
+      const entry = series.get(seriesLabels, create)
+      sorted.forEach((bucket, index) => {
+        if (observed <= bucket) entry.counts[index] += 1
+      })
+      entry.sum += observed
+      entry.count += 1
+    },
+    get: (labels = {}) => {
+      const { counts, sum, count } = series.get(labels, create)
+      return { buckets: sorted.slice(), counts: counts.slice(), sum, count }
+    },
+    render: () => series.values().reduce((lines, { labels, counts, sum, count }) => {
+      sorted.forEach((bucket, index) => {
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: bucket }))} ${counts[index]}`)
+      })
+      lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}`)
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`)
+      return lines
+    }, [])
+  }
+}
+
+const factories = { counter: createCounter, gauge: createGauge, histogram: createHistogram }
+
+/**
+ * Creates a registry of metrics, that can be rendered in the Prometheus
+ * text format. Metrics are created on first use and returned afterwards.
+ * @param prefix {string?} optional, prefix of all metric names
+ * @return {object} the registry with counter, gauge, histogram and render
+ */
+export const createMetricsRegistry = ({ prefix = '' } = {}) => {
+  const metrics = new Map()
+
+  const getOrCreate = (type, name, help = name, options) => {
+    const fullName = `${prefix}${name}`
+    if (!isValidName(fullName)) {
+      throw new Error(`Invalid metric name: ${fullName}`)
+    }
+
+    if (!metrics.has(fullName)) {
+      metrics.set(fullName, Object.assign({ name: fullName, help }, factories[type](fullName, help, options)))
+    }
+
+    const metric = metrics.get(fullName)
+    if (metric.type !== type) {
+      throw new Error(`Metric ${fullName} is already registered as ${metric.type}.`)
+    }
+    return metric
+  }
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    counter: (name, help) => getOrCreate('counter', name, help),
+    gauge: (name, help) => getOrCreate('gauge', name, help),
+    histogram: (name, help, buckets) => getOrCreate('histogram', name, help, buckets),
+
+    /**
+     * @return {string} all metrics in the Prometheus text format
+     */
+    render: () => {
+      const lines = []
+      metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`)
+        lines.push(`# TYPE ${metric.name} ${metric.type}`)
+        lines.push(...metric.render())
+      })
+      return `${lines.join('\n')}\n`
+    }
+  }
+}
+
+/**
+ * Creates the built-in metrics of the factory's routes.
+ * @param registry {object} the metrics registry
+ * @param buckets {[number]?} optional, the buckets of the latency histogram
+ * @return {object} the request, duration, in flight and validation metrics
+ */
+export const createRouteMetrics = (registry, buckets) => ({
+  requests: registry.counter('http_requests_total', 'Number of requests by route, method and status.'),
+  duration: registry.histogram('http_request_duration_seconds', 'Duration of requests in seconds by route and method.', buckets),
+  inFlight: registry.gauge('http_requests_in_flight', 'Number of requests in progress by route and method.'),
+  validationFailures: registry.counter('http_validation_failures_total', 'Number of requests, that failed validation, by route and method.')
+})
+
+/**
+ * Tracks a request by the built-in metrics, until the response is finished
+ * or the connection is closed.
+ * @param res the response
+ * @param routeMetrics {object} the built-in metrics
+ * @param labels {object} the route and method of the request
+ */
+export const trackRequest = (res, routeMetrics, labels) => {
+  const start = process.hrtime()
+  let done = false
+
+  routeMetrics.inFlight.inc(labels)
+
+  const finish = () => {
+    if (done) return
+    done = true
+
+    const [seconds, nanoseconds] = process.hrtime(start)
+    routeMetrics.inFlight.dec(labels)
+    routeMetrics.duration.observe(labels, seconds + nanoseconds / 1e9)
+    routeMetrics.requests.inc(Object.assign({ status: res.statusCode }, labels))
+  }
+
+  res.once('finish', finish)
+  res.once('close', finish)
+}
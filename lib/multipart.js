@@ -0,0 +1,166 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { finished } from 'stream'
+import Busboy from 'busboy'
+import { toBytes } from './body'
+import { createAbortedError, createError } from './utils'
+
+const defaultFileSize = '10mb'
+
+const isMultipart = req => (req.headers['content-type'] || '')
+  .toLowerCase()
+  .startsWith('multipart/form-data')
+
+const isAllowedType = (mimeTypes, mimeType) => mimeTypes.some(type => {
+  return type.endsWith('/*')
+    ? mimeType.startsWith(type.slice(0, -1))
+    : mimeType === type
+})
+
+// fields with the same name are collected as array
+const addField = (fields, name, value) => {
+  fields[name] = Object.prototype.hasOwnProperty.call(fields, name)
+    ? [].concat(fields[name], value)
+    : value
+}
+
+const isWritable = x => x !== null && typeof x === 'object' &&
+  typeof x.write === 'function' && typeof x.on === 'function'
+
+const settled = stream => new Promise(resolve => finished(stream, resolve))
+
+const removeFile = filePath => fs.unlink(filePath, () => {})
+
+/**
+ * Creates a function, that parses multipart/form-data bodies. Fields are
+ * assigned to req.body and file metadata to req.files.
+ * @param limits {object?} optional busboy limits, fileSize can also be a
+ *  string like '10mb', defaults to 10mb
+ * @param mimeTypes {[string]?} optional list of allowed MIME types, supports
+ *  wildcards like 'audio/*'
+ * @param dest {string?} optional directory for temp files, defaults to the
+ *  os temp directory
+ * @param sink {function?} optional, receives the file metadata and returns a
+ *  writable stream to write the file into, instead of a temp file
+ * @return {function(req, res):Promise} resolves when the body has been
+ *  parsed, rejects with an error that has a status of 400, 413, 415 or 500,
+ *  or that is marked as aborted, if the client disconnects
+ */
+export const createMultipartParser = ({ limits = {}, mimeTypes, dest = os.tmpdir(), sink } = {}) => {
+  const busboyLimits = Object.assign({}, limits, {
+    fileSize: toBytes(limits.fileSize || defaultFileSize)
+  })
+
+  return function parseMultipart (req, res) {
+    if (req._body || !isMultipart(req)) return Promise.resolve()
+
+    return new Promise((resolve, reject) => {
+      const fields = {}
+      const files = []
+      const uploads = []
+      let failed = false
+      let parsed = false
+
+      // temp files are only needed until the response has been sent
+      let cleanedUp = false
+      const cleanup = () => {
+        if (cleanedUp) return
+        cleanedUp = true
+        Promise.all(uploads.map(({ target }) => settled(target))).then(() => {
+          files.forEach(file => file.path && removeFile(file.path))
+        })
+      }
+      res.once('finish', cleanup)
+      res.once('close', cleanup)
+
+      let busboy
+      try {
+        busboy = Busboy({ headers: req.headers, limits: busboyLimits })
+      } catch (e) {
+        req.resume()
+        return reject(createError(e.message, 400))
+      }
+
+      const fail = error => {
+        if (failed) return
+        failed = true
+        req.unpipe(busboy)
+        req.resume()
+        uploads.forEach(({ stream, target }) => {
+          stream.unpipe(target)
+          stream.resume()
+          target.destroy()
+        })
+        reject(error)
+      }
+
+      // the temp files of aborted uploads are removed right away, since
+      // the response may never finish
+      let received = false
+      const abort = () => {
+        if (parsed || failed) return
+        fail(createAbortedError())
+        cleanup()
+      }
+      req.once('end', () => { received = true })
+      req.once('aborted', abort)
+      req.once('close', () => received || abort())
+      res.once('close', abort)
+
+      busboy.on('field', (name, value) => addField(fields, name, value))
+      busboy.on('file', (fieldName, stream, { filename, encoding, mimeType }) => {
+        if (failed) return stream.resume()
+
+        if (mimeTypes && !isAllowedType(mimeTypes, mimeType)) {
+          stream.resume()
+          return fail(createError(`File type ${mimeType} is not allowed.`, 415))
+        }
+
+        const file = { fieldName, name: filename, encoding, mimeType, size: 0 }
+        files.push(file)
+
+        // errors of the sink would be thrown within busboy's event emitter
+        let target
+        if (sink) {
+          try {
+            target = sink(Object.assign({}, file))
+          } catch (e) {
+            stream.resume()
+            return fail(createError(e.message, 500))
+          }
+          if (!isWritable(target)) {
+            stream.resume()
+            return fail(createError(`The sink for ${filename} has not returned a writable stream.`, 500))
+          }
+        } else {
+          file.path = path.join(dest, `http-factory-${crypto.randomBytes(16).toString('hex')}`)
+          target = fs.createWriteStream(file.path)
+        }
+
+        uploads.push({ stream, target })
+        target.on('error', e => fail(createError(e.message, 500)))
+        stream.on('data', chunk => { file.size += chunk.length })
+        stream.on('limit', () => fail(createError(`File ${filename} exceeds the size limit.`, 413)))
+        stream.pipe(target)
+      })
+      busboy.on('filesLimit', () => fail(createError('Too many files.', 413)))
+      busboy.on('fieldsLimit', () => fail(createError('Too many fields.', 413)))
+      busboy.on('partsLimit', () => fail(createError('Too many parts.', 413)))
+      busboy.on('error', e => fail(createError(e.message, 400)))
+      busboy.on('close', () => {
+        parsed = true
+        Promise.all(uploads.map(({ target }) => settled(target))).then(() => {
+          if (failed) return
+          req.body = fields
+          req.files = files
+          req._body = true
+          resolve()
+        })
+      })
+
+      req.pipe(busboy)
+    })
+  }
+}
@@ -0,0 +1,242 @@
+import { Match } from 'meteor/check'
+import { STATUS_CODES } from 'http'
+import { MaybePattern, OneOfPattern, OptionalPattern, isObject, isStatusMap } from './utils'
+
+const bodyMethods = ['post', 'put', 'patch']
+const isPlainObject = x => isObject(x) && Object.getPrototypeOf(x) === Object.prototype
+
+const fromType = type => {
+  if (type === String) return { type: 'string' }
+  if (type === Number) return { type: 'number' }
+  if (type === Boolean) return { type: 'boolean' }
+  if (type === Date) return { type: 'string', format: 'date-time' }
+  if (type === Object) return { type: 'object' }
+  if (type === Array) return { type: 'array' }
+  if (type === Match.Integer || type === 'SimpleSchema.Integer') return { type: 'integer' }
+  return {}
+}
+
+// converts a SimpleSchema field definition, like { type: String, max: 10 }
+const fromField = field => {
+  const jsonSchema = fromType(field.type)
+  const isString = jsonSchema.type === 'string'
+
+  if (field.label) jsonSchema.title = field.label
+  if (field.description) jsonSchema.description = field.description
+  if (field.allowedValues) jsonSchema.enum = field.allowedValues
+  if (typeof field.defaultValue !== 'undefined') jsonSchema.default = field.defaultValue
+  if (field.regEx instanceof RegExp) jsonSchema.pattern = field.regEx.source
+  if (typeof field.min === 'number') jsonSchema[isString ? 'minLength' : 'minimum'] = field.min
+  if (typeof field.max === 'number') jsonSchema[isString ? 'maxLength' : 'maximum'] = field.max
+
+  return { jsonSchema, optional: !!field.optional }
+}
+
+// converts a check pattern or a SimpleSchema field and tells, whether it is optional
+const fromDefinition = definition => {
+  if (definition instanceof OptionalPattern || definition instanceof MaybePattern) {
+    const { jsonSchema } = fromDefinition(definition.pattern)
+    return { jsonSchema, optional: true }
+  }
+
+  if (definition instanceof OneOfPattern) {
+    const jsonSchema = { anyOf: definition.choices.map(choice => fromDefinition(choice).jsonSchema) }
+    return { jsonSchema, optional: false }
+  }
+
+  if (Array.isArray(definition) && definition !== Match.Integer && definition !== Match.Any) {
+    const jsonSchema = { type: 'array', items: fromDefinition(definition[0]).jsonSchema }
+    return { jsonSchema, optional: false }
+  }
+
+  if (isPlainObject(definition)) {
+    return Object.prototype.hasOwnProperty.call(definition, 'type')
+      ? fromField(definition)
+      : { jsonSchema: toJSONSchema(definition), optional: false }
+  }
+
+  return { jsonSchema: fromType(definition), optional: false }
+}
+
+/**
+ * The default schema converter, supports SimpleSchema definitions (including
+ * nested keys like `address.city` or `tags.$`) and check patterns.
+ * @param definitions {object} the schema definitions of a route
+ * @return {object} the JSON schema
+ */
+export const toJSONSchema = (definitions = {}) => {
+  const root = { type: 'object', properties: {} }
+
+  // resolves the parent schema of nested SimpleSchema keys
+  const getParent = path => path.reduce((parent, key) => {
+    let child = key === '$' ? parent.items : parent.properties[key]
+    if (!child) {
+      child = { type: 'object' }
+      if (key === '$') parent.items = child
+      else parent.properties[key] = child
+    }
+    if (!child.properties && child.type === 'object') child.properties = {}
+    return child
+  }, root)
+
+  Object.keys(definitions).forEach(key => {
+    const path = key.split('.')
+    const name = path.pop()
+    const parent = getParent(path)
+    const { jsonSchema, optional } = fromDefinition(definitions[key])
+
+    if (name === '$') {
+      parent.items = jsonSchema
+      return
+    }
+
+    parent.properties[name] = jsonSchema
+    if (!optional) {
+      parent.required = (parent.required || []).concat(name)
+    }
+  })
+
+  return root
+}
+
+const toOpenAPIPath = path => path
+  .replace(/\/+$/, '')
+  .replace(/:(\w+)/g, '{$1}') || '/'
+
+const getPathParams = path => (path.match(/:(\w+)/g) || []).map(param => param.slice(1))
+
+const withoutProperties = (jsonSchema, names) => {
+  const properties = Object.assign({}, jsonSchema.properties)
+  names.forEach(name => delete properties[name])
+  const required = (jsonSchema.required || []).filter(name => !names.includes(name))
+  const result = Object.assign({}, jsonSchema, { properties, required })
+  if (!required.length) delete result.required
+  return result
+}
+
+const toContent = (types, jsonSchema) => {
+  const content = {}
+  types.forEach(type => {
+    content[type] = jsonSchema ? { schema: jsonSchema } : {}
+  })
+  return content
+}
+
+const getResponses = (route, convert) => {
+  const responses = {}
+  const schema = route.response && route.response.schema
+
+  if (isStatusMap(schema)) {
+    Object.entries(schema).forEach(([status, definitions]) => {
+      responses[status] = { description: STATUS_CODES[status], content: toContent(route.types, convert(definitions)) }
+    })
+  } else {
+    responses['200'] = { description: STATUS_CODES[200], content: toContent(route.types, schema && convert(schema)) }
+  }
+
+  if (route.request || (route.schema && Object.keys(route.schema).length)) {
+    responses['400'] = { description: STATUS_CODES[400] }
+  }
+  if (route.auth) {
+    responses['401'] = { description: STATUS_CODES[401] }
+  }
+  if (route.auth && route.auth.permission) {
+    responses['403'] = { description: STATUS_CODES[403] }
+  }
+
+  return responses
+}
+
+const toParameters = (jsonSchema, location) => Object.entries(jsonSchema.properties || {})
+  .map(([name, schema]) => ({ name, in: location, required: (jsonSchema.required || []).includes(name), schema }))
+
+// path params are always required, their schema defaults to a string
+const toPathParameters = (names, jsonSchema) => names.map(name => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: (jsonSchema.properties || {})[name] || { type: 'string' }
+}))
+
+// request schemas document each part on its own, otherwise the merged params
+// are documented as body or query, except for the path params
+const getRequest = (route, method, convert) => {
+  const pathParams = getPathParams(route.path)
+
+  if (route.request) {
+    const { params = {}, query = {}, headers = {}, body } = route.request
+    return {
+      parameters: toPathParameters(pathParams, convert(params))
+        .concat(toParameters(convert(query), 'query'))
+        .concat(toParameters(convert(headers), 'header')),
+      body: body && convert(body)
+    }
+  }
+
+  const routeSchema = convert(route.schema || {})
+  const jsonSchema = withoutProperties(routeSchema, pathParams)
+  const parameters = toPathParameters(pathParams, routeSchema)
+
+  return bodyMethods.includes(method)
+    ? { parameters, body: jsonSchema }
+    : { parameters: parameters.concat(toParameters(jsonSchema, 'query')) }
+}
+
+const createOperation = (route, method, convert) => {
+  const operation = {}
+  if (route.summary) operation.summary = route.summary
+  if (route.description) operation.description = route.description
+  if (route.tags) operation.tags = route.tags
+
+  const { parameters, body } = getRequest(route, method, convert)
+  if (body && Object.keys(body.properties || {}).length) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: body } } }
+  }
+
+  if (parameters.length) operation.parameters = parameters
+  if (route.auth) {
+    // optional auth allows anonymous requests, too
+    operation.security = route.auth.required || route.auth.permission
+      ? [{ bearerAuth: [] }]
+      : [{}, { bearerAuth: [] }]
+  }
+
+  operation.responses = getResponses(route, convert)
+  return operation
+}
+
+/**
+ * Creates an OpenAPI 3.1 document of the given routes.
+ * @param routes {[object]} the documented routes, each with path, methods,
+ *  schema, response, types, auth and the optional summary, description and tags
+ * @param info {object?} the OpenAPI info object, like { title, version }
+ * @param servers {[object]?} optional OpenAPI server objects
+ * @param toJSONSchema {function?} optional converter of schema definitions
+ *  to JSON schema, supports SimpleSchema and check definitions by default
+ * @return {object} the OpenAPI document
+ */
+export const createOpenAPIDocument = ({ routes, info = {}, servers, toJSONSchema: convert = toJSONSchema }) => {
+  const document = {
+    openapi: '3.1.0',
+    info: Object.assign({ title: 'API', version: '1.0.0' }, info),
+    paths: {}
+  }
+  if (servers) document.servers = servers
+
+  routes.filter(route => route.path).forEach(route => {
+    const path = toOpenAPIPath(route.path)
+    const methods = route.methods.length ? route.methods : ['get']
+    document.paths[path] = document.paths[path] || {}
+    methods.forEach(method => {
+      document.paths[path][method] = createOperation(route, method, convert)
+    })
+  })
+
+  if (routes.some(route => route.auth)) {
+    document.components = {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } }
+    }
+  }
+
+  return document
+}
@@ -0,0 +1,80 @@
+/**
+ * Creates the default in-memory store, that counts requests per key and
+ * interval. Stores only need to implement `increment`, so a shared store
+ * (like a Mongo collection) can be used across multiple instances.
+ * @return {{increment: function(key, interval):Promise<{count: number, reset: number}>}}
+ */
+export const createMemoryStore = () => {
+  const entries = new Map()
+  let nextSweep = 0
+
+  // expired entries are removed lazily to keep the map from growing
+  const sweep = now => {
+    entries.forEach((entry, key) => {
+      if (entry.reset <= now) entries.delete(key)
+    })
+  }
+
+  return {
+    async increment (key, interval) {
+      const now = Date.now()
+      if (now >= nextSweep) {
+        sweep(now)
+        nextSweep = now + interval
+      }
+
+      let entry = entries.get(key)
+      if (!entry || entry.reset <= now) {
+        entry = { count: 0, reset: now + interval }
+        entries.set(key, entry)
+      }
+
+      entry.count += 1
+      return { count: entry.count, reset: entry.reset }
+    }
+  }
+}
+
+// the client ip is only read from x-forwarded-for, if the app runs behind a
+// known number of proxies, same as Meteor's HTTP_FORWARDED_COUNT
+const getClientIp = req => {
+  const remoteAddress = req.socket && req.socket.remoteAddress
+  const forwardedCount = parseInt(process.env.HTTP_FORWARDED_COUNT, 10) || 0
+  const forwardedFor = req.headers['x-forwarded-for']
+  if (!forwardedCount || typeof forwardedFor !== 'string') return remoteAddress
+
+  const ips = forwardedFor.split(',').map(ip => ip.trim())
+  return ips[ips.length - forwardedCount] || remoteAddress
+}
+
+const keyGenerators = {
+  ip: req => getClientIp(req),
+  userId: (req, { userId }) => userId || getClientIp(req)
+}
+
+/**
+ * Creates a function, that counts the requests of a client and resolves
+ * whether the limit is exceeded.
+ * @param limit {number} max. number of requests per interval
+ * @param interval {number} the interval in milliseconds
+ * @param key {string|function} 'ip', 'userId' (falls back to the ip for
+ *  anonymous requests) or a function (req, { userId }) that returns the key
+ * @param store {object} the store to count the requests
+ * @param prefix {string} separates the counts of the routes
+ * @return {function(req, {userId}):Promise<{limit, remaining, reset, exceeded}>}
+ */
+export const createRateLimiter = ({ limit, interval, key = 'ip', store = createMemoryStore(), prefix = '' }) => {
+  const getKey = typeof key === 'function' ? key : keyGenerators[key]
+
+  return async function rateLimit (req, { userId } = {}) {
+    const clientKey = await getKey(req, { userId })
+    const { count, reset } = await store.increment(`${prefix}:${clientKey}`, interval)
+
+    return {
+      limit,
+      remaining: Math.max(limit - count, 0),
+      reset: Math.max(Math.ceil((reset - Date.now()) / 1000), 0),
+      exceeded: count > limit
+    }
+  }
+}
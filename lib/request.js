@@ -0,0 +1,136 @@
+import { Match } from 'meteor/check'
+import { MaybePattern, OneOfPattern, OptionalPattern, createSchema, isObject } from './utils'
+
+export const schemaParts = ['params', 'query', 'headers', 'body']
+
+const isNumeric = value => value.trim() !== '' && !isNaN(Number(value))
+
+// query strings, path params, headers and urlencoded bodies only contain
+// strings, so we convert them by the check pattern, where unambiguous
+const coerceValue = (value, pattern) => {
+  if (pattern === Match.Integer) {
+    return typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value
+  }
+
+  if (pattern instanceof OptionalPattern || pattern instanceof MaybePattern) {
+    return coerceValue(value, pattern.pattern)
+  }
+
+  if (pattern instanceof OneOfPattern) {
+    const coerced = pattern.choices.map(choice => coerceValue(value, choice))
+    const index = coerced.findIndex((candidate, i) => Match.test(candidate, pattern.choices[i]))
+    return index > -1 ? coerced[index] : value
+  }
+
+  if (Array.isArray(pattern) && pattern.length === 1) {
+    return typeof value === 'string' || Array.isArray(value)
+      ? [].concat(value).map(entry => coerceValue(entry, pattern[0]))
+      : value
+  }
+
+  if (typeof value !== 'string') return value
+  if (pattern === Number) return isNumeric(value) ? Number(value) : value
+  if (pattern === Boolean) return value === 'true' ? true : value === 'false' ? false : value
+  if (pattern === Date) {
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? value : date
+  }
+
+  return value
+}
+
+const coerce = (doc, definitions) => {
+  const coerced = Object.assign({}, doc)
+  Object.keys(definitions).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(coerced, key)) {
+      coerced[key] = coerceValue(coerced[key], definitions[key])
+    }
+  })
+  return coerced
+}
+
+// headers always contain more than the route is interested in,
+// so only the defined ones are validated
+const pickHeaders = (headers, definitions) => {
+  const picked = {}
+  Object.keys(definitions).forEach(key => {
+    const value = headers[key.toLowerCase()]
+    if (typeof value !== 'undefined') picked[key] = value
+  })
+  return picked
+}
+
+// schemas with clean (like SimpleSchema) remove unknown keys and convert
+// the values, all others are coerced by their definitions
+const createPart = (schemaFactory, definitions) => createSchema(schemaFactory, definitions, {
+  cleanOptions: { mutate: false },
+  fallback: coerce
+})
+
+const getPart = (req, part, definitions) => {
+  switch (part) {
+    case 'params':
+      return Object.assign({}, req.params)
+    case 'query':
+      return Object.assign({}, req.query)
+    case 'headers':
+      return pickHeaders(req.headers, definitions)
+    default:
+      return isObject(req.body) ? Object.assign({}, req.body) : {}
+  }
+}
+
+/**
+ * Creates a function, that validates the params, query, headers and body
+ * of a request by their own schemas and replaces them by their cleaned
+ * (coerced) values. Headers are not replaced, but returned.
+ * @param schemaFactory {function} the factory's schemaFactory
+ * @param schema {object} the request schema with the definitions by part
+ * @return {function(req):Promise<object>} resolves to the cleaned parts or
+ *  rejects with the validation error, that has the invalid part attached
+ */
+export const createRequestValidator = ({ schemaFactory, schema }) => {
+  const parts = schemaParts
+    .filter(part => schema[part])
+    .map(part => Object.assign({ part, definitions: schema[part] }, createPart(schemaFactory, schema[part])))
+
+  return async function validateRequest (req) {
+    const cleaned = {}
+
+    for (const { part, definitions, clean, validate } of parts) {
+      const doc = clean(getPart(req, part, definitions))
+      try {
+        await validate(doc)
+      } catch (validationError) {
+        if (isObject(validationError)) validationError.part = part
+        throw validationError
+      }
+      cleaned[part] = doc
+    }
+
+    if (cleaned.params) req.params = cleaned.params
+    if (cleaned.query) req.query = cleaned.query
+    if (cleaned.body && (isObject(req.body) || typeof req.body === 'undefined')) req.body = cleaned.body
+
+    return cleaned
+  }
+}
+
+/**
+ * Adds the invalid part of the request to the error response of a
+ * validation error, like "Invalid query: Limit must be of type Number".
+ * @param errorResponse {object} the resolved error response
+ * @param error {Error} the validation error
+ * @return {object} the error response
+ */
+export const withInvalidPart = (errorResponse, error) => {
+  const part = error && error.part
+  if (!part) return errorResponse
+
+  const info = errorResponse.info || error.message
+  const details = Array.isArray(errorResponse.details)
+    ? errorResponse.details.map(detail => Object.assign({ in: part }, detail))
+    : errorResponse.details
+
+  return Object.assign({}, errorResponse, { info: `Invalid ${part}: ${info}`, details })
+}
@@ -0,0 +1,79 @@
+import { Meteor } from 'meteor/meteor'
+import { createSchema, isObject, isStatusMap } from './utils'
+
+export const responseModes = ['reject', 'strip', 'log']
+
+// fallback for schemas, that can't clean documents on their own
+// (like check/Match), we only keep the keys of the definitions
+const pick = (doc, definitions) => {
+  const picked = {}
+  Object.keys(definitions).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(doc, key)) {
+      picked[key] = doc[key]
+    }
+  })
+  return picked
+}
+
+// only remove unknown fields, but leave the values as they are
+const cleanOptions = {
+  filter: true,
+  autoConvert: false,
+  removeEmptyStrings: false,
+  trimStrings: false,
+  getAutoValues: false,
+  mutate: false
+}
+
+const createResponseSchema = (schemaFactory, definitions) => createSchema(schemaFactory, definitions, {
+  cleanOptions,
+  fallback: pick
+})
+
+/**
+ * Creates a function, that validates the result of a route by a response
+ * schema before it is sent.
+ * @param schemaFactory {function} the factory's schemaFactory
+ * @param schema {object} the schema definitions, or a map of status codes
+ *  to schema definitions, like { 200: {...}, 201: {...} }
+ * @param mode {string} one of 'reject' (throw if invalid), 'strip' (remove
+ *  unknown fields, then throw if invalid) or 'log' (only validate and log
+ *  in development)
+ * @return {function(result, statusCode, log):Promise} resolves to the
+ *  (cleaned) result or rejects with the validation error, log receives the
+ *  validation error in 'log' mode
+ */
+export const createResponseValidator = ({ schemaFactory, schema, mode = 'reject' }) => {
+  const schemas = {}
+  if (isStatusMap(schema)) {
+    Object.entries(schema).forEach(([code, definitions]) => {
+      schemas[code] = createResponseSchema(schemaFactory, definitions)
+    })
+  } else {
+    schemas.default = createResponseSchema(schemaFactory, schema)
+  }
+
+  return async function validateResponse (result, statusCode, log) {
+    const responseSchema = schemas[statusCode] || schemas.default
+    if (!responseSchema || (mode === 'log' && !Meteor.isDevelopment)) {
+      return result
+    }
+
+    const docs = Array.isArray(result) ? result : [result]
+    const cleaned = mode === 'strip'
+      ? docs.map(doc => isObject(doc) ? responseSchema.clean(doc) : doc)
+      : docs
+
+    try {
+      for (const doc of cleaned) {
+        await responseSchema.validate(doc)
+      }
+    } catch (validationError) {
+      if (mode !== 'log') throw validationError
+      log(validationError)
+    }
+
+    if (mode !== 'strip') return result
+    return Array.isArray(result) ? cleaned : cleaned[0]
+  }
+}
@@ -0,0 +1,81 @@
+import { EJSON } from 'meteor/ejson'
+
+const toCSVValue = value => {
+  if (value === null || typeof value === 'undefined') return ''
+  if (value instanceof Date) return value.toISOString()
+
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str
+}
+
+// the header row is created by all keys of all rows
+const toCSV = result => {
+  const rows = [].concat(result)
+  const columns = []
+  rows.forEach(row => Object.keys(row || {}).forEach(key => {
+    if (!columns.includes(key)) columns.push(key)
+  }))
+
+  const lines = [columns.map(toCSVValue).join(',')]
+  rows.forEach(row => {
+    lines.push(columns.map(key => toCSVValue((row || {})[key])).join(','))
+  })
+  return lines.join('\r\n')
+}
+
+export const defaultSerializers = {
+  json: {
+    type: 'application/json',
+    serialize: result => JSON.stringify(result)
+  },
+  ejson: {
+    type: 'application/ejson',
+    serialize: result => EJSON.stringify(result)
+  },
+  text: {
+    type: 'text/plain; charset=utf-8',
+    serialize: result => typeof result === 'object' ? JSON.stringify(result) : String(result)
+  },
+  csv: {
+    type: 'text/csv; charset=utf-8',
+    serialize: toCSV
+  }
+}
+
+const toMimeType = type => type.split(';')[0].trim().toLowerCase()
+
+/**
+ * Parses an Accept header into a list of media ranges, ordered by quality.
+ * @param header {string?} the Accept header
+ * @return {[{type: string, q: number}]} the media ranges
+ */
+export const parseAccept = header => (header || '*/*')
+  .split(',')
+  .map((range, index) => {
+    const [type, ...params] = range.split(';')
+    const qParam = params.find(param => param.trim().startsWith('q='))
+    const q = qParam ? parseFloat(qParam.split('=')[1]) : 1
+    return { type: toMimeType(type), q: isNaN(q) ? 1 : q, index }
+  })
+  .filter(range => range.type && range.q > 0)
+  .sort((a, b) => (b.q - a.q) || (a.index - b.index))
+
+const matchesRange = (range, type) => {
+  if (range === '*/*' || range === type) return true
+  return range.endsWith('/*') && type.startsWith(range.slice(0, -1))
+}
+
+/**
+ * Selects the serializer, that matches the Accept header best.
+ * @param accept {string?} the Accept header
+ * @param serializers {[object]} the serializers, ordered by preference
+ * @return {object|undefined} the serializer or undefined if none matches
+ */
+export const negotiate = (accept, serializers) => {
+  for (const range of parseAccept(accept)) {
+    const serializer = serializers.find(s => matchesRange(range.type, toMimeType(s.type)))
+    if (serializer) return serializer
+  }
+}
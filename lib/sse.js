@@ -0,0 +1,143 @@
+export const defaultHeartbeat = 15000
+
+const isCursor = x => x !== null && typeof x === 'object' && typeof x.observeChanges === 'function'
+
+// multiline data is sent as multiple data fields, which the client joins
+const formatEvent = ({ event, data, id }) => {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data)
+  const lines = []
+  if (typeof id !== 'undefined' && id !== null) lines.push(`id: ${String(id).replace(/[\r\n]/g, '')}`)
+  if (event) lines.push(`event: ${event.replace(/[\r\n]/g, '')}`)
+  String(payload).split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`))
+  return `${lines.join('\n')}\n\n`
+}
+
+// removed fields are undefined in observeChanges and would be lost in JSON
+const toFields = fields => {
+  const result = {}
+  Object.entries(fields || {}).forEach(([name, value]) => {
+    result[name] = typeof value === 'undefined' ? null : value
+  })
+  return result
+}
+
+/**
+ * Creates a Server-Sent Events stream on the response. The response is
+ * started with the first event (or once the route is opened), so errors
+ * before that can still be sent as error response.
+ * @param req the request
+ * @param res the response
+ * @param heartbeat {number|false} interval of heartbeat comments in ms
+ * @param retry {number?} optional, reconnection time of the client in ms
+ * @return {object} the stream with send, onClose, close, open and started
+ */
+export const createEventStream = ({ req, res, heartbeat = defaultHeartbeat, retry }) => {
+  const teardowns = []
+  let started = false
+  let closed = false
+  let timer
+
+  const teardown = () => {
+    if (closed) return
+    closed = true
+    clearInterval(timer)
+    res.removeListener('close', teardown)
+    teardowns.splice(0).forEach(callback => callback())
+  }
+  res.once('close', teardown)
+
+  // compression middleware buffers the response, unless flushed
+  const write = chunk => {
+    res.write(chunk)
+    if (typeof res.flush === 'function') res.flush()
+  }
+
+  const start = () => {
+    if (started || closed) return
+    started = true
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    write(typeof retry === 'number' ? `retry: ${retry}\n\n` : ':\n\n')
+
+    if (heartbeat) {
+      timer = setInterval(() => write(':\n\n'), heartbeat)
+    }
+  }
+
+  const stream = {
+    /**
+     * the id of the last event, the client has received before reconnecting
+     */
+    lastEventId: req.headers['last-event-id'] || null,
+
+    /**
+     * @return {boolean} true, if the response has been started
+     */
+    get started () {
+      return started
+    },
+
+    /**
+     * Sends an event to the client
+     * @param event {string|null} the event name, null for unnamed messages
+     * @param data {any} strings are sent as they are, anything else as json
+     * @param id {string|number?} optional, the event id
+     * @return {boolean} false, if the connection is already closed
+     */
+    send: (event, data, id) => {
+      if (closed) return false
+      start()
+      write(formatEvent({ event, data, id }))
+      return true
+    },
+
+    /**
+     * Registers a callback, that runs once the connection is closed
+     * @param callback {function}
+     */
+    onClose: callback => {
+      if (closed) return callback()
+      teardowns.push(callback)
+    },
+
+    /**
+     * Ends the stream, the client reconnects, unless it closes the
+     * EventSource. Only tears down, if the response has not been started.
+     */
+    close: () => {
+      const wasStarted = started
+      teardown()
+      if (wasStarted && !res.writableEnded) res.end()
+    },
+
+    /**
+     * Opens the stream with the result of run. Cursors are observed and
+     * their changes are sent as added, changed and removed events, functions
+     * are called once the connection is closed.
+     * @param result the result of run
+     * @return {Promise} resolves, once the stream is open
+     */
+    open: async result => {
+      if (typeof result === 'function') {
+        stream.onClose(result)
+      }
+
+      if (isCursor(result)) {
+        const handle = await result.observeChanges({
+          added: (id, fields) => stream.send('added', { id, fields: toFields(fields) }),
+          changed: (id, fields) => stream.send('changed', { id, fields: toFields(fields) }),
+          removed: id => stream.send('removed', { id })
+        })
+        stream.onClose(() => handle.stop())
+      }
+
+      start()
+    }
+  }
+
+  return stream
+}
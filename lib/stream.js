@@ -0,0 +1,109 @@
+import { isObject } from './utils'
+
+export const streamFormats = ['ndjson', 'json', 'raw']
+
+const contentTypes = {
+  ndjson: 'application/x-ndjson',
+  json: 'application/json',
+  raw: 'application/octet-stream'
+}
+
+const isReadable = x => typeof x.pipe === 'function' && typeof x.on === 'function'
+const isCursor = x => typeof x.observeChanges === 'function' && typeof x.fetch === 'function'
+const isIterable = x => typeof x[Symbol.asyncIterator] === 'function'
+
+/**
+ * Determines, whether a result of run is sent as stream.
+ * @param result the result of run
+ * @return {boolean} true for readable streams, async iterators and cursors
+ */
+export const isStreamable = result => isObject(result) &&
+  (isReadable(result) || isCursor(result) || isIterable(result))
+
+// cursors of older Meteor versions are only iterable synchronously
+// or have to be fetched
+const toIterable = result => {
+  if (isCursor(result) && !isIterable(result)) {
+    return typeof result[Symbol.iterator] === 'function'
+      ? result
+      : result.fetch()
+  }
+  return result
+}
+
+const toRaw = item => typeof item === 'string' || Buffer.isBuffer(item)
+  ? item
+  : JSON.stringify(item)
+
+const serializers = {
+  ndjson: item => `${JSON.stringify(item)}\n`,
+  json: (item, index) => `${index > 0 ? ',' : ''}${JSON.stringify(item)}`,
+  raw: toRaw
+}
+
+// resolves, once the response can be written again or the client is gone
+const drain = res => new Promise(resolve => {
+  const done = () => {
+    res.removeListener('drain', done)
+    res.removeListener('close', done)
+    resolve()
+  }
+  res.once('drain', done)
+  res.once('close', done)
+})
+
+/**
+ * Writes a stream, async iterator or cursor to the response with
+ * backpressure. Iteration stops and readable sources are destroyed, once the
+ * request is aborted (by a timeout or the client).
+ * @param res the response
+ * @param result the streamable result of run
+ * @param format {string?} optional, one of 'ndjson', 'json' (array) or 'raw',
+ *  defaults to 'raw' for byte streams and to 'ndjson' otherwise
+ * @param statusCode {number} the status code of the response
+ * @param headers {function(type):object} returns the headers by content type
+ * @param abortState {object} the abort state of the request
+ * @param onError {function(error, started)} receives errors of the source,
+ *  started is true, if the response has already been started
+ * @return {Promise} resolves, once the stream has ended or is aborted
+ */
+export const sendStream = async ({ res, result, format, statusCode, headers, abortState, onError }) => {
+  const isByteStream = isReadable(result) && !result.readableObjectMode
+  const streamFormat = format || (isByteStream ? 'raw' : 'ndjson')
+  const serialize = serializers[streamFormat]
+
+  let started = false
+  let aborted = false
+  const removeAbortListener = abortState.onAbort(() => {
+    aborted = true
+    if (isReadable(result) && typeof result.destroy === 'function') result.destroy()
+  })
+
+  const start = () => {
+    if (started) return
+    started = true
+    res.writeHead(statusCode, headers(contentTypes[streamFormat]))
+    if (streamFormat === 'json') res.write('[')
+  }
+
+  try {
+    let index = 0
+    for await (const item of toIterable(result)) {
+      if (aborted) break
+
+      start()
+      if (!res.write(serialize(item, index++))) {
+        await drain(res)
+      }
+    }
+
+    if (aborted) return
+
+    start()
+    res.end(streamFormat === 'json' ? ']' : undefined)
+  } catch (error) {
+    if (!aborted) onError(error, started)
+  } finally {
+    removeAbortListener()
+  }
+}
@@ -0,0 +1,76 @@
+import { Match } from 'meteor/check'
+
+// check does not export its pattern classes, so we get them from instances
+export const OptionalPattern = Match.Optional(String).constructor
+export const MaybePattern = Match.Maybe(String).constructor
+export const OneOfPattern = Match.OneOf(String, Number).constructor
+
+/**
+ * Determines, whether a value is an object (including arrays).
+ * @param x {any} the value to check
+ * @return {boolean} true for any non-null object
+ */
+export const isObject = x => x !== null && typeof x === 'object'
+
+/**
+ * Returns objects as they are and anything else (like true) as empty object.
+ * @param options {any} the options of a factory or route
+ * @return {object} the options object
+ */
+export const toObject = options => isObject(options) ? options : {}
+
+/**
+ * Determines, whether a value is a valid HTTP status code.
+ * @param code {any} the value to check
+ * @return {boolean} true for integers from 100 to 599
+ */
+export const isStatusCode = code => Number.isInteger(code) && code >= 100 && code <= 599
+
+/**
+ * Determines, whether a response schema maps status codes to schemas,
+ * like { 200: {...}, 201: {...} }, instead of defining a single schema.
+ * @param schema {object?} the response schema
+ * @return {boolean} true, if all keys are status codes
+ */
+export const isStatusMap = schema => !!schema &&
+  Object.keys(schema).length > 0 &&
+  Object.keys(schema).every(key => /^\d{3}$/.test(key))
+
+/**
+ * Creates a schema by the schemaFactory with a clean and validate function.
+ * Schemas with clean (like SimpleSchema) are cleaned by it, all others (like
+ * check/Match) by the fallback.
+ * @param schemaFactory {function} the factory's schemaFactory
+ * @param definitions {object} the schema definitions
+ * @param cleanOptions {object} the options for the clean method of the schema
+ * @param fallback {function(doc, definitions):object} cleans the document,
+ *  if the schema has no clean method
+ * @return {{clean: function, validate: function}}
+ */
+export const createSchema = (schemaFactory, definitions, { cleanOptions, fallback }) => {
+  const schema = schemaFactory(definitions)
+  const clean = typeof schema.clean === 'function'
+    ? doc => schema.clean(doc, cleanOptions)
+    : doc => fallback(doc, definitions)
+  const validate = doc => schema.validate(doc)
+  return { clean, validate }
+}
+
+/**
+ * Creates an error with a status code, that is used for the error response.
+ * @param message {string} the error message
+ * @param status {number} the status code
+ * @return {Error} the error
+ */
+export const createError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Creates the error for requests, that the client has aborted while their
+ * body was read. It is marked as aborted, so it is not reported as error.
+ * @return {Error} the error
+ */
+export const createAbortedError = () => Object.assign(createError('The client has disconnected.', 400), { aborted: true })
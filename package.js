@@ -1,7 +1,7 @@
 /* eslint-env meteor */
 Package.describe({
   name: 'leaonline:http-factory',
-  version: '1.1.0',
+  version: '2.0.0',
   // Brief, one-line summary of the package.
   summary: 'Create Meteor connect HTTP middleware. Lightweight. Simple.',
   // URL to the Git repository containing the source code for this package.
@@ -11,23 +11,48 @@ Package.describe({
   documentation: 'README.md'
 })
 
+// Npm.depends can only be called once and applies to the whole package,
+// chai, simpl-schema and body-parser are only used by the tests
+Npm.depends({
+  busboy: '1.6.0',
+  chai: '4.2.0',
+  'simpl-schema': '1.6.2',
+  'body-parser': '1.19.2'
+})
+
 Package.onUse(function (api) {
   api.versionsFrom(['1.6', '2.3'])
   api.use([ 'ecmascript', 'ejson', 'leaonline:webapp@1.0.0' ], 'server')
+  api.use('accounts-base', 'server', { weak: true })
+  api.addFiles([
+    'lib/abort.js',
+    'lib/auth.js',
+    'lib/body.js',
+    'lib/cache.js',
+    'lib/cors.js',
+    'lib/errors.js',
+    'lib/inject.js',
+    'lib/logger.js',
+    'lib/metrics.js',
+    'lib/multipart.js',
+    'lib/openapi.js',
+    'lib/ratelimit.js',
+    'lib/request.js',
+    'lib/response.js',
+    'lib/serializers.js',
+    'lib/sse.js',
+    'lib/stream.js',
+    'lib/utils.js'
+  ], 'server', { lazy: true })
   api.mainModule('http-factory.js', 'server')
 })
 
 Package.onTest(function (api) {
-  Npm.depends({
-    chai: '4.2.0',
-    'simpl-schema': '1.6.2',
-    'body-parser': '1.19.2'
-  })
-
   api.use('ecmascript')
   api.use('random')
   api.use('mongo')
   api.use('check')
+  api.use('accounts-base')
   api.use('http')
   api.use('jkuester:http')
   api.use('meteortesting:mocha')